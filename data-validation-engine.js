@@ -0,0 +1,254 @@
+/**
+ * data-validation-engine
+ * ---------------------------------------------------------------
+ * - Reads a workbook-like model from user-chosen scope/path (msg/flow/global)
+ *   e.g. { NAME: [ {name, grade}, ... ], PRICE: [ ... ] }
+ * - Runs a small ruleset against it:
+ *     sheetsExist     : requiredSheets[] present & non-empty
+ *     sheetHasColumns : sheet has requiredColumns[] (dot paths allowed)
+ *   Each rule may carry { conditions: { and: [{attribute, operator, rhsType, value}] } };
+ *   the rule only runs when every condition holds.
+ * - Rules come from the node itself or from a JSON file under userDir
+ *   (optionally watched for changes).
+ * - Writes msg.validation = { logs, counts } (the shape validation-report reads);
+ *   each log carries a location { sheet, column? } for the report's drill-down.
+ *
+ * Node config fields:
+ *   srcScope, srcPath     : where to read the model from
+ *   rulesSource           : "node" | "file"
+ *   rules                 : JSON array of rules (node mode)
+ *   rulesFile             : userDir-relative JSON file (file mode)
+ *   lockRules             : rules are read-only in the editor
+ *   watchFile             : reload the rules file when it changes
+ */
+const fs = require("fs");
+const path = require("path");
+
+module.exports = function(RED){
+
+  const LEVELS = ["info", "warning", "error"];
+  const OPERATORS = ["==", "!=", "contains", "!contains", "regex", "isEmpty", "!isEmpty"];
+
+  // ------ helpers for typed I/O ------
+  function readFrom(node, scope, path, msg){
+    if (scope === "msg")   return RED.util.getMessageProperty(msg, path);
+    if (scope === "flow")  return node.context().flow.get(path);
+    /* scope === "global" */return node.context().global.get(path);
+  }
+
+  // dot-path lookup that tolerates missing branches ("a.b.c")
+  function getByPath(obj, dotPath){
+    return String(dotPath || "").split(".").filter(Boolean)
+      .reduce((o, k) => (o == null ? undefined : o[k]), obj);
+  }
+
+  const isEmpty = v => v == null || v === "" ||
+    (Array.isArray(v) && v.length === 0) ||
+    (typeof v === "object" && !Array.isArray(v) && Object.keys(v).length === 0);
+
+  const normLevel = lvl => {
+    const l = String(lvl || "error").toLowerCase();
+    if (l.startsWith("err")) return "error";
+    if (l.startsWith("warn")) return "warning";
+    return LEVELS.includes(l) ? l : "info";
+  };
+
+  // ------ rules loading ------
+  function resolveRulesFile(file){
+    const userDir = RED.settings.userDir || process.cwd();
+    return path.resolve(userDir, file);
+  }
+
+  function parseRules(text, origin){
+    const rules = JSON.parse(text);
+    if (!Array.isArray(rules)) throw new Error(`${origin}: rules must be a JSON array`);
+    rules.forEach((r, i) => {
+      if (!r || typeof r !== "object") throw new Error(`${origin}: rule #${i+1} is not an object`);
+      if (r.type !== "sheetsExist" && r.type !== "sheetHasColumns"){
+        throw new Error(`${origin}: rule #${i+1} has unknown type "${r.type}"`);
+      }
+      const conds = r.conditions?.and || [];
+      conds.forEach(c => {
+        if (!OPERATORS.includes(c.operator)){
+          throw new Error(`${origin}: rule #${i+1} uses unknown operator "${c.operator}"`);
+        }
+      });
+    });
+    return rules;
+  }
+
+  // ------ conditions ------
+  function evalRhs(node, cond, msg){
+    const type = cond.rhsType || "str";
+    return new Promise((resolve, reject) => {
+      RED.util.evaluateNodeProperty(cond.value ?? "", type, node, msg, (err, v) => err ? reject(err) : resolve(v));
+    });
+  }
+
+  function testCondition(lhs, op, rhs){
+    switch (op){
+      case "==":        return String(lhs ?? "") === String(rhs ?? "");
+      case "!=":        return String(lhs ?? "") !== String(rhs ?? "");
+      case "contains":  return Array.isArray(lhs) ? lhs.includes(rhs) : String(lhs ?? "").includes(String(rhs ?? ""));
+      case "!contains": return !testCondition(lhs, "contains", rhs);
+      case "regex":     return new RegExp(String(rhs ?? "")).test(String(lhs ?? ""));
+      case "isEmpty":   return isEmpty(lhs);
+      case "!isEmpty":  return !isEmpty(lhs);
+      default:          return false;
+    }
+  }
+
+  async function conditionsHold(node, rule, model, msg){
+    const conds = rule.conditions?.and || [];
+    for (const c of conds){
+      const lhs = getByPath(model, c.attribute);
+      const rhs = (c.operator === "isEmpty" || c.operator === "!isEmpty") ? undefined : await evalRhs(node, c, msg);
+      if (!testCondition(lhs, c.operator, rhs)) return false;
+    }
+    return true;
+  }
+
+  // ------ rule runners ------
+  const hasColumn = (rows, col) => rows.some(row => getByPath(row, col) !== undefined);
+
+  function runSheetsExist(rule, model, log){
+    for (const sheet of rule.requiredSheets || []){
+      const ok = !isEmpty(model?.[sheet]);
+      log(ok ? "info" : rule.level, {
+        source_sheet: sheet,
+        location: { sheet },
+        message: ok ? `Sheet '${sheet}' exists and is not empty.` : `Sheet '${sheet}' is missing or empty.`
+      });
+    }
+  }
+
+  function runSheetHasColumns(rule, model, log){
+    const sheet = rule.sheet;
+    const rows = model?.[sheet];
+    if (!Array.isArray(rows) || !rows.length){
+      log(rule.level, { source_sheet: sheet, location: { sheet }, message: `Sheet '${sheet}' is missing or empty; columns not checked.` });
+      return;
+    }
+    for (const col of rule.requiredColumns || []){
+      const ok = hasColumn(rows, col);
+      log(ok ? "info" : rule.level, {
+        source_sheet: sheet,
+        location: { sheet, column: col },
+        message: ok ? `Column '${col}' found in sheet '${sheet}'.` : `Column '${col}' is missing in sheet '${sheet}'.`
+      });
+    }
+  }
+
+  const RUNNERS = { sheetsExist: runSheetsExist, sheetHasColumns: runSheetHasColumns };
+
+  /**
+   * Run all rules against the model.
+   * @param {Object} node - the engine node (for RHS evaluation)
+   * @param {Array<Object>} rules - ruleset
+   * @param {Object} model - workbook-like object
+   * @param {Object} msg - incoming message (for msg/jsonata RHS)
+   * @returns {Promise<{logs:Array<Object>, counts:Object}>}
+   */
+  async function runRules(node, rules, model, msg){
+    const logs = [];
+    for (const rule of rules){
+      const base = {
+        id: rule.id || rule.type,
+        type: rule.type,
+        description: rule.description || ""
+      };
+      const level = normLevel(rule.level);
+      const log = (lvl, extra) => logs.push({ ...base, level: normLevel(lvl), target_sheet: "", ...extra });
+
+      if (!(await conditionsHold(node, rule, model, msg))){
+        log("info", { source_sheet: "(engine)", message: "Skipped: rule conditions not met." });
+        continue;
+      }
+      RUNNERS[rule.type]({ ...rule, level }, model, log);
+    }
+
+    const counts = logs.reduce((a, r) => { a[r.level]++; a.total++; return a; }, {info:0,warning:0,error:0,total:0});
+    return { logs, counts };
+  }
+
+  function DataValidationEngine(config){
+    RED.nodes.createNode(this, config);
+    const node = this;
+
+    // inputs
+    node.srcScope = config.srcScope || "msg";
+    node.srcPath  = config.srcPath  || "data";
+
+    // rules
+    node.rulesSource = config.rulesSource || "node";
+    node.rulesFile   = (config.rulesFile || "").trim();
+    node.watchFile   = !!config.watchFile;
+
+    let rules = null;
+    let rulesError = null;
+    let watchedFile = null;
+    // this node's own listener: other nodes may watch the same file
+    const onRulesChange = (cur, prev) => {
+      if (cur.mtimeMs !== prev.mtimeMs) loadRules();
+    };
+
+    function loadRules(){
+      try{
+        if (node.rulesSource === "file"){
+          if (!node.rulesFile) throw new Error("no rules file configured");
+          const file = resolveRulesFile(node.rulesFile);
+          rules = parseRules(fs.readFileSync(file, "utf8"), node.rulesFile);
+        } else {
+          rules = parseRules(config.rules || "[]", "node rules");
+        }
+        rulesError = null;
+        node.status({fill:"grey",shape:"ring",text:`${rules.length} rules loaded`});
+      }catch(e){
+        rules = null;
+        rulesError = e;
+        node.status({fill:"red",shape:"ring",text:"invalid rules"});
+        node.error(e.message);
+      }
+    }
+
+    loadRules();
+
+    // fs.watchFile (polling) survives editors that replace the file on save
+    if (node.rulesSource === "file" && node.watchFile && node.rulesFile){
+      watchedFile = resolveRulesFile(node.rulesFile);
+      fs.watchFile(watchedFile, { persistent:false, interval:1000 }, onRulesChange);
+    }
+
+    node.on("input", async (msg, send, done)=>{
+      try{
+        if (!rules) throw rulesError || new Error("no rules loaded");
+
+        const model = readFrom(node, node.srcScope, node.srcPath, msg);
+        if (!model || typeof model !== "object"){
+          node.status({fill:"red",shape:"ring",text:"no data found"});
+          send(msg); return done && done();
+        }
+
+        const validation = await runRules(node, rules, model, msg);
+        msg.validation = validation;
+
+        const { counts } = validation;
+        const worst = counts.error ? "error" : counts.warning ? "warning" : "info";
+        node.status({fill: worst==="error"?"red":worst==="warning"?"yellow":"green", shape:"dot",
+          text:`E:${counts.error} W:${counts.warning} I:${counts.info}`});
+        send(msg);
+        done && done();
+      }catch(e){
+        node.status({fill:"red",shape:"ring",text:"runtime error"});
+        done ? done(e) : node.error(e);
+      }
+    });
+
+    node.on("close", ()=>{
+      if (watchedFile) fs.unwatchFile(watchedFile, onRulesChange);
+      watchedFile = null;
+    });
+  }
+
+  RED.nodes.registerType("data-validation-engine", DataValidationEngine);
+};
@@ -3,7 +3,10 @@
  * ---------------------------------------------------------------
  * - Reads validation from user-chosen scope/path (msg/flow/global)
  *   Accepts either { logs, counts } or logs[] directly.
- * - Builds the full modern HTML report (filters, pagination, exports, etc.).
+ * - Reads the rule catalog (id, description, suggestions, owner, docs)
+ *   from msg/flow/global or a JSON file under userDir.
+ * - Builds the full modern HTML report (filters, pagination, exports, SVG charts, etc.);
+ *   rows travel once as compact JSON and are rendered page by page client-side.
  * - Writes HTML to user-chosen scope/path (msg/flow/global).
  * - Optionally writes a filename (fixed) to a user-chosen scope/path.
  *
@@ -12,14 +15,75 @@
  *
  * Node config fields:
  *   inScope,  inPath      : where to read validation from
- *   outScope, outPath     : where to write HTML to
+ *   rulesScope, rulesPath : where to read the rule catalog from (optional)
+ *   baseScope, basePath   : where to read a baseline run from (optional);
+ *                           the diff is written to msg.validationDiff
+ *   waiverScope, waiverPath : where to read waivers from (optional; file / flow / global);
+ *                           the split is written to msg.validationWaivers
+ *   historyStore          : "" | "context" | "file" — keep per-run counts
+ *   historyContext        : context store name (context mode, optional)
+ *   historyFile           : userDir-relative JSONL file (file mode)
+ *   historySize           : number of runs to keep / chart
+ *   htmlOut               : write the HTML to outScope/outPath (off: file / archive / other exports only)
+ *   outScope, outPath     : where to write HTML to (blank: msg.payload)
+ *   junitScope, junitPath : where to write JUnit XML to (optional)
+ *   sarifScope, sarifPath : where to write SARIF 2.1.0 JSON to (optional)
+ *   digestScope, digestPath : where to write a Markdown / text digest to (optional)
+ *   digestFormat          : "markdown" | "text"
+ *   digestTopRules, digestRowsPerRule, digestMaxLength : digest size limits
+ *   csvScope, csvPath     : where to write the full issues CSV to (optional)
+ *   xlsScope, xlsPath     : where to write the SpreadsheetML workbook to (optional)
+ *   xlsSheets             : "level" | "rule" — one worksheet per level or per rule
+ *   exportRows            : "issues" | "all" — rows included in CSV / workbook
+ *   gate                  : quality gate on → two outputs (1: pass, 2: fail)
+ *   gateMaxErrors, gateMaxWarnings, gateRuleMax,
+ *   gateMaxErrorPct, gateMaxWarningPct : gate thresholds (blank = no limit);
+ *                           the verdict is written to msg.validationGate
+ *   severities            : JSON severity scale (blank = error / warning / info)
+ *   renderMode            : "inline" | "worker" — render on the event loop or in a worker thread
+ *   reportFile            : userDir-relative file the HTML is streamed to (optional);
+ *                           its absolute path is written to msg.reportFile
+ *   maxRows               : most severe rows kept in the HTML (blank / 0 = all)
+ *   reportTitle, reportSubtitle : report heading (blank title: "Validation Report")
+ *   logoFile              : userDir-relative image embedded as a data URI (png, jpg, gif, svg, webp)
+ *   meta                  : header metadata [{ label, type, value }] (msg / flow / global / env / str)
+ *   extraCss, footer      : CSS appended to the report's styles; footer text
+ *   lang                  : report UI language ("en", "fr", any BCP 47 tag; other languages via translations)
+ *   translations          : JSON { key: text } overriding the built-in strings
+ *   textDir               : "" (from the language) | "ltr" | "rtl"
+ *   dateLocale, timeZone  : timestamp locale (blank: the language) and IANA time zone (blank: the server's)
+ *   htmlStyle             : "interactive" | "static" — static: script-free HTML for email bodies / archives
+ *   staticRows            : rows per table in a static report (blank / 0 = all)
+ *   archive               : keep each report in an archive folder served over HTTP
+ *                           (GET <root>/validation-report/<node id>/reports[/latest|/<file>]);
+ *                           the archived file and its URL are written to msg.reportArchive
+ *   archiveDir            : userDir-relative archive folder (one sub-folder per node)
+ *   archiveKeep, archiveDays : keep the last N reports / reports newer than N days (blank = no limit)
+ *   archiveRoute          : "admin" (editor, needs validation-report.read) | "node" (also on httpNode)
+ *   columns               : table columns [{ field, label, format }] (empty = default set);
+ *                           format: "text" | "number" | "code" | "link"
+ *   dedupe, dedupeKey     : group duplicate rows by comma-separated key fields
+ *                           ("template" = message with numbers blanked)
+ *   aggregate             : "" | "key" | "parts" — combine several messages into one report
+ *   aggKey                : msg property naming each message's source (e.g. filename)
+ *   aggCount              : sources that complete a batch ("key" mode; "parts" uses parts.count)
+ *   aggTimeout            : seconds after the first message to complete anyway (blank = none)
  *   fileScope, filePath   : where to write filename to (optional)
  *   fixedFilename         : a static filename value to write (optional)
  */
+const fs = require("fs");
+const nodePath = require("path");
+const { Worker, isMainThread, workerData, parentPort } = require("worker_threads");
+const pkg = require("./package.json");
+
+// workerData.task of report render workers (see renderInWorker)
+const WORKER_TASK = "validation-report:render";
+
 module.exports = function(RED){
 
   // ------ helpers for typed I/O ------
   function readFrom(node, scope, path, msg){
+    if (scope === "file")  return readJsonFile(node, path);
     if (scope === "msg")   return RED.util.getMessageProperty(msg, path);
     if (scope === "flow")  return node.context().flow.get(path);
     /* scope === "global" */return node.context().global.get(path);
@@ -30,65 +94,1138 @@ module.exports = function(RED){
     if (scope === "flow")  return node.context().flow.set(path, value);
     /* scope === "global" */return node.context().global.set(path, value);
   }
+  // JSON files checked once per version: absolute path -> { mtimeMs, size, text, error }
+  const jsonFiles = new Map();
+  // node -> Map(absolute path -> mtimeMs of the bad version it last warned about)
+  const jsonWarned = new WeakMap();
+
+  /**
+   * JSON file relative to userDir, re-read only when it changes. Every call parses its own copy,
+   * so a caller (or a downstream node) changing the result can't alter later runs. A missing
+   * file reads as undefined; so does a malformed one, with one warning per node and version of the file.
+   * @param {Object} node - reading node (for the warning)
+   * @param {string} file - userDir-relative path
+   * @returns {*}
+   */
+  function readJsonFile(node, file){
+    if (!file) return undefined;
+    const full = nodePath.resolve(RED.settings.userDir || process.cwd(), file);
+    let stat;
+    try { stat = fs.statSync(full); } catch(e) { jsonFiles.delete(full); return undefined; }
+    let cached = jsonFiles.get(full);
+    if (!cached || cached.mtimeMs !== stat.mtimeMs || cached.size !== stat.size){
+      cached = { mtimeMs: stat.mtimeMs, size: stat.size };
+      try {
+        cached.text = fs.readFileSync(full, "utf8");
+        JSON.parse(cached.text);
+      } catch(e) { cached.error = e.message; }
+      jsonFiles.set(full, cached);
+    }
+    if (cached.error){
+      if (!jsonWarned.has(node)) jsonWarned.set(node, new Map());
+      const warned = jsonWarned.get(node);
+      if (warned.get(full) !== cached.mtimeMs) node.warn(`${file}: ${cached.error}; ignored`);
+      warned.set(full, cached.mtimeMs);
+      return undefined;
+    }
+    return JSON.parse(cached.text);
+  }
+
+  // ------ log normalization ------
+  const keyOf = r => r.ruleId ?? r.id ?? r.rule ?? "(unknown)";
+  const valueOf = r => r.value ?? r.message ?? "";
+  const toLogs = src => Array.isArray(src) ? src : (Array.isArray(src?.logs) ? src.logs : []);
+
+  // dot-path lookup that tolerates missing branches ("a.b.c")
+  const getByPath = (obj, dotPath) => String(dotPath || "").split(".").filter(Boolean)
+    .reduce((o, k) => (o == null ? undefined : o[k]), obj);
+
+  // ------ table columns ------
+  const COLUMN_FORMATS = ["text", "number", "code", "link"];
+  const DEFAULT_COLUMNS = [
+    { field:"source_sheet", label:"Source Sheet" },
+    { field:"value",        label:"Value" },
+    { field:"type",         label:"Type" },
+    { field:"target_sheet", label:"Target Sheet" },
+    { field:"ruleId",       label:"Rule" },   // hidden when grouped by rule
+    { field:"status",       label:"Status" }, // YES / NO from the severity outcome
+    { field:"level",        label:"Level" }
+  ];
+  const DEFAULT_LABELS = Object.fromEntries(DEFAULT_COLUMNS.map(c => [c.field, c.label]));
+  // fields every embedded row carries anyway; other columns are stored per row
+  const ROW_FIELDS = ["ruleId", "level", "status", "type", "source_sheet", "target_sheet"];
+
+  /**
+   * Normalize a column configuration; empty or invalid falls back to DEFAULT_COLUMNS.
+   * @param {Array<Object>} spec - [{ field, label, format }]
+   * @returns {Array<Object>} [{ key, field, label, format }]
+   */
+  function columnsOf(spec){
+    const list = (Array.isArray(spec) ? spec : []).filter(c => c && String(c.field ?? "").trim());
+    return (list.length ? list : DEFAULT_COLUMNS).map((c, i) => {
+      const field = String(c.field).trim();
+      return {
+        key: "c" + i, field,
+        label: String(c.label || field),
+        format: COLUMN_FORMATS.includes(c.format) ? c.format : "text"
+      };
+    });
+  }
+  // raw cell value: "value" and "ruleId" follow the log aliases, anything else is a dot path
+  const fieldOf = (r, field) => field === "value" ? valueOf(r) : field === "ruleId" ? keyOf(r) : getByPath(r, field);
+  const cellData = v => v == null ? "" : typeof v === "number" ? v : typeof v === "object" ? JSON.stringify(v) : String(v);
+
+  // ------ duplicate grouping ------
+  // "template" is the message with numbers blanked, so "row 12" and "row 40" read alike
+  const DEFAULT_DEDUPE_KEY = ["ruleId", "template", "source_sheet"];
+  const templateOf = r => String(valueOf(r)).replace(/\d+(\.\d+)?/g, "#");
+  const dedupeFieldsOf = spec => {
+    const list = String(spec || "").split(",").map(s => s.trim()).filter(Boolean);
+    return list.length ? list : DEFAULT_DEDUPE_KEY;
+  };
+  const dedupeKeyOf = (r, fields) => JSON.stringify(fields.map(f => f === "template" ? templateOf(r) : cellData(fieldOf(r, f))));
+
+  // ------ record drill-down ------
+  // Logs may carry location: { sheet, row, column | path, cell } and record (a snapshot of the offending row).
+  const RECORD_FIELDS = 200;
+
+  function locationOf(r){
+    const loc = r.location;
+    if (!loc || typeof loc !== "object") return null;
+    const out = {};
+    if (loc.sheet != null && loc.sheet !== "") out.sheet = String(loc.sheet);
+    if (loc.row != null && loc.row !== "") out.row = typeof loc.row === "number" ? loc.row : String(loc.row);
+    const column = loc.column ?? loc.path;
+    if (column != null && column !== "") out.column = String(column);
+    if (loc.cell) out.cell = String(loc.cell);
+    return Object.keys(out).length ? out : null;
+  }
+
+  // nested objects flatten to dot paths, so a failing path like "price.net" can be matched
+  function flattenRecord(rec, prefix = "", out = []){
+    for (const [k, v] of Object.entries(rec)){
+      if (out.length > RECORD_FIELDS) break;
+      if (v && typeof v === "object" && !Array.isArray(v) && Object.keys(v).length) flattenRecord(v, prefix + k + ".", out);
+      else out.push([prefix + k, cellData(v)]);
+    }
+    return out;
+  }
+
+  /**
+   * Per-row drill-down data embedded in the report, or 0 when the log has none.
+   * @param {Object} r - log row
+   * @param {Object} [waiver] - the waiver a waived row matched
+   * @returns {Object|number} { loc?, rec?: [[key, value]], more?, waiver? }
+   */
+  function detailOf(r, waiver){
+    const loc = locationOf(r);
+    const rec = r.record && typeof r.record === "object" && !Array.isArray(r.record) ? flattenRecord(r.record) : [];
+    if (!loc && !rec.length && !waiver) return 0;
+    const d = {};
+    if (loc) d.loc = loc;
+    if (rec.length) d.rec = rec.slice(0, RECORD_FIELDS);
+    if (rec.length > RECORD_FIELDS) d.more = true;
+    if (waiver) d.waiver = { label: waiverLabel(waiver), justification: waiver.justification, author: waiver.author, expires: waiver.expires || "" };
+    return d;
+  }
+
+  // ------ localization ------
+  // Report UI strings. "{name}" is filled in by the caller; an object value holds plural
+  // forms by Intl.PluralRules category ({ one, other, … }, chosen by `n`).
+  // Custom translations (node config) override any key of the chosen language.
+  const STRINGS = {
+    en: {
+      "title": "Validation Report",
+      "generatedOn": "Generated on {date}",
+      "search": "🔎 Search rows (value / sheet / rule)…",
+      "searchTitle": "Filters rows only (inside visible tables and rules)",
+      "group": "Group",
+      "groupLabel": "Group rows by",
+      "groupTitle": "Group rows by rule, sheet, rule type or level",
+      "byRule": "By rule",
+      "bySheet": "By sheet",
+      "byType": "By type",
+      "byLevel": "By level",
+      "sections": "Sections",
+      "sectionsLabel": "Section status",
+      "sectionsTitle": "Show sections that contain at least one row of this level",
+      "allStatuses": "All statuses",
+      "withLevel": "With {level}",
+      "changes": "Changes",
+      "changesLabel": "Change vs baseline",
+      "changesTitle": "Show rows by change versus the baseline run",
+      "allRows": "All rows",
+      "chgNew": "New",
+      "chgPersisting": "Persisting",
+      "chgResolved": "Resolved",
+      "tables": "Tables",
+      "toggleTables": "Toggle {level} sub-tables",
+      "view": "View",
+      "unfoldAll": "Unfold all tables in all rules",
+      "foldAll": "Fold all tables in all rules",
+      "theme": "Light / dark theme",
+      "export": "Export",
+      "exportMenu": "Export ▾",
+      "exportCsv": "↓ Issues CSV",
+      "exportJson": "↓ Visible JSON",
+      "copyVisible": "📋 Copy Visible",
+      "print": "🖨 Print",
+      "copied": "Copied visible rows",
+      "copyFailed": "Clipboard copy failed",
+      "truncHead": "Showing {shown} of {total} rows",
+      "truncBody": "The report is capped at {shown} rows and keeps the most severe ones. Counts, tables and exports on this page cover the shown rows only; the node status, gate and CSV / workbook outputs cover all rows.",
+      "expiredHead": { one: "{n} expired waiver", other: "{n} expired waivers" },
+      "expiredBody": "Rows they matched count as issues again; renew or remove them in the waiver list.",
+      "expiredItem": { one: "{waiver}: expired {date}, {n} row affected.", other: "{waiver}: expired {date}, {n} rows affected." },
+      "gatePassed": "Quality gate: PASSED",
+      "gateFailed": "Quality gate: FAILED",
+      "gateAllMet": "All thresholds met.",
+      "totalRules": "Total rules",
+      "totalRows": "Total rows",
+      "distinct": "{n} distinct",
+      "rulesPassed": "Rules passed",
+      "rulesWarn": "Rules with warnings",
+      "rulesErr": "Rules with errors",
+      "generated": "Generated",
+      "run": "Run",
+      "levelRows": "{level} rows",
+      "levelDistinct": "({n} distinct)",
+      "changesVsBaseline": "Changes vs baseline",
+      "badgeNew": "NEW",
+      "badgePersisting": "PERSISTING",
+      "badgeResolved": "RESOLVED",
+      "badgeWaived": "WAIVED",
+      "waivedRows": "Waived rows",
+      "source": "Source",
+      "goToSource": "Go to this source",
+      "nRows": { one: "{n} row", other: "{n} rows" },
+      "pillTitle": "{level}: {rows} rows, {distinct} distinct",
+      "trendHead": { one: "Trend — last run", other: "Trend — last {n} runs" },
+      "errors": "Errors",
+      "warnings": "Warnings",
+      "trendAria": "Errors and warnings over the last runs",
+      "sparkAria": "Issues over the last {n} runs",
+      "sparkTitle": "Issues per run: {list}",
+      "chartLevels": "Rows by level",
+      "chartTopRules": "Top failing rules (issue rows)",
+      "chartTopRulesAria": "Top failing rules",
+      "chartHeat": "Sheets × level (rows)",
+      "chartHeatAria": "Rows per sheet and level",
+      "rule": "Rule",
+      "sheet": "Sheet",
+      "type": "Type",
+      "level": "Level",
+      "description": "Description",
+      "owner": "Owner",
+      "documentation": "Documentation ↗",
+      "resolvedHead": "Resolved since baseline",
+      "resolvedDesc": "Issues present in the baseline run that no longer occur.",
+      "resolvedTable": "Resolved",
+      "waivedHead": "Waived",
+      "waivedDesc": "Accepted known issues matched by a waiver. They are left out of the counts, the status and the quality gate.",
+      "sortTitle": "Sort (shift-click: add a sort key)",
+      "prev": "◀ Prev",
+      "next": "Next ▶",
+      "rowsPerPage": "Rows per page",
+      "showingFirst": "Showing the first {shown} of {total} rows.",
+      "filterCol": "Filter {label}",
+      "filterAll": "All",
+      "blank": "(blank)",
+      "contains": "contains…",
+      "noMatch": "No rows match the column filters.",
+      "yes": "YES",
+      "no": "NO",
+      "occurrences": "Occurrences ({n})",
+      "occTitle": "occurrences",
+      "showFirstLast": "Show first / last",
+      "showAll": "Show all",
+      "more": "… {n} more",
+      "waived": "Waived",
+      "until": "until {date}",
+      "location": "Location",
+      "locRow": "row {v}",
+      "locColumn": "column {v}",
+      "locCell": "cell {v}",
+      "record": { one: "Record ({count} field)", other: "Record ({count} fields)" },
+      "recordMore": "Further fields were not included in the report.",
+      "suggestions": "Suggestions",
+      "noSuggestions": "No suggestions provided for this rule.",
+      "col.source_sheet": "Source Sheet",
+      "col.value": "Value",
+      "col.type": "Type",
+      "col.target_sheet": "Target Sheet",
+      "col.ruleId": "Rule",
+      "col.status": "Status",
+      "col.level": "Level",
+      "level.error": "Error",
+      "level.warning": "Warning",
+      "level.info": "Info",
+      "levels.error": "Errors",
+      "levels.warning": "Warnings",
+      "levels.info": "Info"
+    },
+    fr: {
+      "title": "Rapport de validation",
+      "generatedOn": "Généré le {date}",
+      "search": "🔎 Rechercher des lignes (valeur / feuille / règle)…",
+      "searchTitle": "Filtre uniquement les lignes (dans les tableaux et règles visibles)",
+      "group": "Regrouper",
+      "groupLabel": "Regrouper les lignes par",
+      "groupTitle": "Regrouper les lignes par règle, feuille, type de règle ou niveau",
+      "byRule": "Par règle",
+      "bySheet": "Par feuille",
+      "byType": "Par type",
+      "byLevel": "Par niveau",
+      "sections": "Sections",
+      "sectionsLabel": "Statut des sections",
+      "sectionsTitle": "Afficher les sections contenant au moins une ligne de ce niveau",
+      "allStatuses": "Tous les statuts",
+      "withLevel": "Avec {level}",
+      "changes": "Évolutions",
+      "changesLabel": "Évolution par rapport à la référence",
+      "changesTitle": "Afficher les lignes selon leur évolution par rapport à l'exécution de référence",
+      "allRows": "Toutes les lignes",
+      "chgNew": "Nouvelles",
+      "chgPersisting": "Persistantes",
+      "chgResolved": "Résolues",
+      "tables": "Tableaux",
+      "toggleTables": "Afficher / masquer les sous-tableaux {level}",
+      "view": "Affichage",
+      "unfoldAll": "Déplier tous les tableaux de toutes les règles",
+      "foldAll": "Replier tous les tableaux de toutes les règles",
+      "theme": "Thème clair / sombre",
+      "export": "Exporter",
+      "exportMenu": "Exporter ▾",
+      "exportCsv": "↓ CSV des anomalies",
+      "exportJson": "↓ JSON visible",
+      "copyVisible": "📋 Copier le visible",
+      "print": "🖨 Imprimer",
+      "copied": "Lignes visibles copiées",
+      "copyFailed": "Échec de la copie dans le presse-papiers",
+      "truncHead": "{shown} lignes affichées sur {total}",
+      "truncBody": "Le rapport est limité à {shown} lignes et conserve les plus graves. Les totaux, tableaux et exports de cette page ne portent que sur les lignes affichées ; le statut du nœud, le seuil qualité et les sorties CSV / classeur couvrent toutes les lignes.",
+      "expiredHead": { one: "{n} dérogation expirée", other: "{n} dérogations expirées" },
+      "expiredBody": "Les lignes concernées redeviennent des anomalies ; renouvelez ou supprimez ces dérogations.",
+      "expiredItem": { one: "{waiver} : expirée le {date}, {n} ligne concernée.", other: "{waiver} : expirée le {date}, {n} lignes concernées." },
+      "gatePassed": "Seuil qualité : RÉUSSI",
+      "gateFailed": "Seuil qualité : ÉCHEC",
+      "gateAllMet": "Tous les seuils sont respectés.",
+      "totalRules": "Règles au total",
+      "totalRows": "Lignes au total",
+      "distinct": { one: "{n} distincte", other: "{n} distinctes" },
+      "rulesPassed": "Règles réussies",
+      "rulesWarn": "Règles avec avertissements",
+      "rulesErr": "Règles en erreur",
+      "generated": "Généré le",
+      "run": "Exécution",
+      "levelRows": "Lignes {level}",
+      "levelDistinct": { one: "({n} distincte)", other: "({n} distinctes)" },
+      "changesVsBaseline": "Évolution par rapport à la référence",
+      "badgeNew": "NOUVEAU",
+      "badgePersisting": "PERSISTANT",
+      "badgeResolved": "RÉSOLU",
+      "badgeWaived": "DÉROGÉ",
+      "waivedRows": "Lignes sous dérogation",
+      "source": "Source",
+      "goToSource": "Aller à cette source",
+      "nRows": { one: "{n} ligne", other: "{n} lignes" },
+      "pillTitle": "{level} : {rows} lignes, {distinct} distinctes",
+      "trendHead": { one: "Tendance — dernière exécution", other: "Tendance — {n} dernières exécutions" },
+      "errors": "Erreurs",
+      "warnings": "Avertissements",
+      "trendAria": "Erreurs et avertissements des dernières exécutions",
+      "sparkAria": "Anomalies des {n} dernières exécutions",
+      "sparkTitle": "Anomalies par exécution : {list}",
+      "chartLevels": "Lignes par niveau",
+      "chartTopRules": "Règles les plus en échec (lignes en anomalie)",
+      "chartTopRulesAria": "Règles les plus en échec",
+      "chartHeat": "Feuilles × niveau (lignes)",
+      "chartHeatAria": "Lignes par feuille et par niveau",
+      "rule": "Règle",
+      "sheet": "Feuille",
+      "type": "Type",
+      "level": "Niveau",
+      "description": "Description",
+      "owner": "Responsable",
+      "documentation": "Documentation ↗",
+      "resolvedHead": "Résolues depuis la référence",
+      "resolvedDesc": "Anomalies présentes dans l'exécution de référence qui n'apparaissent plus.",
+      "resolvedTable": "Résolues",
+      "waivedHead": "Sous dérogation",
+      "waivedDesc": "Anomalies connues, acceptées par une dérogation. Elles sont exclues des totaux, du statut et du seuil qualité.",
+      "sortTitle": "Trier (Maj+clic : ajouter une clé de tri)",
+      "prev": "◀ Préc.",
+      "next": "Suiv. ▶",
+      "rowsPerPage": "Lignes par page",
+      "showingFirst": "Affichage des {shown} premières lignes sur {total}.",
+      "filterCol": "Filtrer {label}",
+      "filterAll": "Tout",
+      "blank": "(vide)",
+      "contains": "contient…",
+      "noMatch": "Aucune ligne ne correspond aux filtres de colonnes.",
+      "yes": "OUI",
+      "no": "NON",
+      "occurrences": "Occurrences ({n})",
+      "occTitle": "occurrences",
+      "showFirstLast": "Premières / dernières",
+      "showAll": "Tout afficher",
+      "more": "… {n} de plus",
+      "waived": "Dérogation",
+      "until": "jusqu'au {date}",
+      "location": "Emplacement",
+      "locRow": "ligne {v}",
+      "locColumn": "colonne {v}",
+      "locCell": "cellule {v}",
+      "record": { one: "Enregistrement ({count} champ)", other: "Enregistrement ({count} champs)" },
+      "recordMore": "Les autres champs ne figurent pas dans le rapport.",
+      "suggestions": "Suggestions",
+      "noSuggestions": "Aucune suggestion fournie pour cette règle.",
+      "col.source_sheet": "Feuille source",
+      "col.value": "Valeur",
+      "col.type": "Type",
+      "col.target_sheet": "Feuille cible",
+      "col.ruleId": "Règle",
+      "col.status": "Statut",
+      "col.level": "Niveau",
+      "level.error": "Erreur",
+      "level.warning": "Avertissement",
+      "level.info": "Info",
+      "levels.error": "Erreurs",
+      "levels.warning": "Avertissements",
+      "levels.info": "Infos"
+    }
+  };
+  // strings the in-page script needs (row panels, column filters, clipboard)
+  const CLIENT_STRINGS = ["yes", "no", "occurrences", "occTitle", "showFirstLast", "showAll", "more", "waived", "until",
+    "location", "locRow", "locColumn", "locCell", "record", "recordMore", "suggestions", "noSuggestions",
+    "filterCol", "filterAll", "blank", "contains", "noMatch", "copied", "copyFailed"];
+  const RTL_LANGS = ["ar", "he", "fa", "ur", "ps", "yi"];
+
+  /**
+   * String table for a language: built-in base language (else English) with custom translations on top.
+   * @param {string} [lang] - BCP 47 tag ("en", "fr", "ar-MA", …); an invalid tag falls back to "en"
+   * @param {Object} [custom] - { key: text | { one, other, … } }
+   * @param {string} [dir] - "ltr" | "rtl" | anything else: from the language
+   * @returns {{ lang:string, dir:string, strings:Object, t:Function }} t(key, vars) → plain text
+   */
+  function translator(lang, custom, dir){
+    let tag;
+    try { tag = Intl.getCanonicalLocales(String(lang || "").trim() || "en")[0]; } catch(e) { tag = "en"; }
+    const plural = new Intl.PluralRules(tag);
+    const base = tag.toLowerCase().split("-")[0];
+    const strings = { ...STRINGS.en, ...(STRINGS[base] || {}), ...(custom && typeof custom === "object" && !Array.isArray(custom) ? custom : {}) };
+    const t = (key, vars = {}) => {
+      let s = strings[key] ?? STRINGS.en[key] ?? key;
+      if (s && typeof s === "object") s = s[plural.select(+vars.n || 0)] ?? s.other ?? "";
+      return String(s).replace(/\{(\w+)\}/g, (m, k) => vars[k] != null ? String(vars[k]) : m);
+    };
+    return { lang: tag, dir: dir === "rtl" || dir === "ltr" ? dir : RTL_LANGS.includes(base) ? "rtl" : "ltr", strings, t };
+  }
+
+  /**
+   * Timestamp in a chosen locale / time zone (blank: the server's).
+   * @param {Date|string|number} d
+   * @param {Object} [fmt] - { locale, timeZone }
+   * @param {boolean} [short] - short date and time (chart axes)
+   * @returns {string}
+   */
+  function formatDate(d, fmt = {}, short = false){
+    const date = d instanceof Date ? d : new Date(d);
+    if (isNaN(date)) return String(d ?? "");
+    const style = short ? { dateStyle:"short", timeStyle:"short" } : { dateStyle:"medium", timeStyle:"long" };
+    try { return date.toLocaleString(fmt.locale || undefined, { ...style, ...(fmt.timeZone ? { timeZone: fmt.timeZone } : {}) }); }
+    catch(e) { return date.toLocaleString(undefined, style); }
+  }
+
+  // severity labels from the string table: always for the default scale, where unset for a configured one
+  function localizeScale(scale, strings, isDefault){
+    return scale.map(x => {
+      if (!x || x.id == null) return x;
+      const id = String(x.id).toLowerCase();
+      const pick = (own, key) => isDefault ? strings[key] || own : own || strings[key];
+      return { ...x, label: pick(x.label, `level.${id}`), title: pick(x.title, `levels.${id}`), abbr: x.abbr || String(x.label || id).charAt(0) };
+    });
+  }
+
+  // ------ branding (title, logo, metadata, extra CSS, footer) ------
+  const LOGO_TYPES = { ".png":"image/png", ".jpg":"image/jpeg", ".jpeg":"image/jpeg", ".gif":"image/gif", ".svg":"image/svg+xml", ".webp":"image/webp" };
+  const LOGO_MAX_BYTES = 256 * 1024;
+
+  /**
+   * Logo image under userDir as a data URI, so the report stays one self-contained file.
+   * @param {string} file - userDir-relative path (blank: no logo)
+   * @returns {string} data URI or ""
+   */
+  function logoDataUri(file){
+    if (!file) return "";
+    const type = LOGO_TYPES[nodePath.extname(file).toLowerCase()];
+    if (!type) throw new Error(`unsupported logo type "${nodePath.extname(file)}" (png, jpg, gif, svg or webp)`);
+    const buf = fs.readFileSync(nodePath.resolve(RED.settings.userDir || process.cwd(), file));
+    if (buf.length > LOGO_MAX_BYTES) throw new Error(`logo is larger than ${LOGO_MAX_BYTES / 1024} KB`);
+    return `data:${type};base64,${buf.toString("base64")}`;
+  }
+
+  // metadata entries [{ label, type, value }] (typed like any node property) -> [{ label, value }]; blank values are left out
+  const META_TYPES = ["msg", "flow", "global", "env", "str"];
+  function metadataOf(node, spec, msg){
+    return (Array.isArray(spec) ? spec : [])
+      .filter(m => m && String(m.label ?? "").trim() && META_TYPES.includes(m.type))
+      .map(m => {
+        let v;
+        try { v = RED.util.evaluateNodeProperty(m.value ?? "", m.type, node, msg); } catch(e) { v = undefined; }
+        return { label: String(m.label).trim(), value: String(cellData(v)) };
+      })
+      .filter(m => m.value !== "");
+  }
+
+  // extra CSS can't close its <style> element
+  const cssText = s => String(s ?? "").replace(/</g, "\\3c ");
+  // quoted CSS string (generated content)
+  const cssString = s => `"${String(s ?? "").replace(/["\\\n<]/g, c => "\\" + c.charCodeAt(0).toString(16) + " ")}"`;
+
+  // ------ waivers (accepted known issues) ------
+  // Entry: { ruleId?, sheet?, value? (regex), expires? (date), justification, author };
+  // at least one of ruleId / sheet / value. A date-only expiry lasts to the end of that day (UTC).
+  /**
+   * Validate a waiver list ({ waivers: [] } or the array itself); bad entries are reported, not applied.
+   * @param {*} src - parsed waiver list
+   * @returns {{ list: Array<{entry:Object, rx:RegExp, until:number}>, invalid: Array<string> }}
+   */
+  function waiversOf(src){
+    const list = [], invalid = [];
+    const entries = Array.isArray(src) ? src : (Array.isArray(src?.waivers) ? src.waivers : []);
+    entries.forEach((w, i) => {
+      const name = `waiver #${i+1}`;
+      if (!w || typeof w !== "object") return invalid.push(`${name} is not an object`);
+      const justification = String(w.justification ?? "").trim();
+      const author = String(w.author ?? "").trim();
+      if (!justification || !author) return invalid.push(`${name} needs a justification and an author`);
+      const ruleId = w.ruleId ?? w.id ?? w.rule;
+      if (ruleId == null && !w.sheet && !w.value) return invalid.push(`${name} matches nothing (set ruleId, sheet or value)`);
+      let rx = null;
+      if (w.value) {
+        try { rx = new RegExp(String(w.value)); }
+        catch (e) { return invalid.push(`${name} has an invalid value regex: ${e.message}`); }
+      }
+      let until = Infinity;
+      if (w.expires) {
+        const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(w.expires));
+        until = Date.parse(String(w.expires)) + (dateOnly ? 86400000 : 0);
+        if (isNaN(until)) return invalid.push(`${name} has an invalid expiry date "${w.expires}"`);
+      }
+      const entry = { index: i + 1, justification, author };
+      if (ruleId != null) entry.ruleId = String(ruleId);
+      if (w.sheet) entry.sheet = String(w.sheet);
+      if (w.value) entry.value = String(w.value);
+      if (w.expires) entry.expires = String(w.expires);
+      list.push({ entry, rx, until });
+    });
+    return { list, invalid };
+  }
+  const waiverLabel = w => [
+    w.ruleId != null ? `rule ${w.ruleId}` : "", w.sheet ? `sheet ${w.sheet}` : "", w.value ? `value /${w.value}/` : ""
+  ].filter(Boolean).join(", ");
+
+  /**
+   * Move issue rows matched by a live waiver out of the logs.
+   * @param {Array<Object>} logs - normalized logs
+   * @param {Array<Object>} waivers - waiversOf().list
+   * @param {Object} sev - severity model
+   * @param {number} [now] - epoch ms
+   * @returns {{ active:Array, waived:Array, expired:Array }} waived rows are copies carrying
+   *   `waiver` (the entry); expired waivers carry `rows`, the issue rows they would still match
+   */
+  function applyWaivers(logs, waivers, sev, now = Date.now()){
+    const matches = (w, r) => (w.entry.ruleId == null || String(keyOf(r)) === w.entry.ruleId) &&
+      (!w.entry.sheet || r.source_sheet === w.entry.sheet || r.target_sheet === w.entry.sheet) &&
+      (!w.rx || w.rx.test(String(valueOf(r))));
+    const live = waivers.filter(w => w.until > now);
+    const expired = waivers.filter(w => w.until <= now).map(w => ({ w, rows: 0 }));
+    const active = [], waived = [];
+    for (const r of logs){
+      const w = sev.isIssue(r.level) ? live.find(x => matches(x, r)) : null;
+      if (w) { waived.push({ ...r, waiver: w.entry }); continue; }
+      active.push(r);
+      if (sev.isIssue(r.level)) expired.forEach(x => { if (matches(x.w, r)) x.rows++; });
+    }
+    return { active, waived, expired: expired.map(x => ({ ...x.w.entry, rows: x.rows })) };
+  }
+
+  // ------ severity model ------
+  // Ordered most → least severe. outcome: "fail" | "warn" | "pass" decides
+  // what counts as an issue and which legacy bucket (error/warning/info) it rolls up to.
+  const DEFAULT_SEVERITIES = [
+    { id:"error",   label:"Error",   title:"Errors",   aliases:["err","fatal","critical","severe"], outcome:"fail", color:"var(--err)" },
+    { id:"warning", label:"Warning", title:"Warnings", aliases:["warn"], outcome:"warn", color:"var(--warn)" },
+    { id:"info",    label:"Info",    title:"Info",     aliases:["information","notice","debug","ok","pass"], outcome:"pass", color:"var(--ok)" }
+  ];
+  const OUTCOMES = ["fail", "warn", "pass"];
+  const OUTCOME_BUCKET = { fail:"error", warn:"warning", pass:"info" };
+  const OUTCOME_COLOR = { fail:"var(--err)", warn:"var(--warn)", pass:"var(--ok)" };
+  const OUTCOME_CLASS = { fail:"err", warn:"warn", pass:"ok" };
+  const safeColor = c => /^(#[0-9a-f]{3,8}|[a-z]+|(rgb|hsl)a?\([\d\s.,%]+\)|var\(--[a-z0-9-]+\))$/i.test(String(c || "").trim()) ? String(c).trim() : "";
+
+  /**
+   * Build a severity model from a scale definition.
+   * @param {Array<Object>} [scale] - [{ id, label, title, aliases[], color, outcome, abbr }], most severe first
+   * @returns {Object} { list, byId, normalize(level), outcome(id), isIssue(id), count(rows), rollup(rows), worst(rows) }
+   */
+  function severityModel(scale){
+    const src = Array.isArray(scale) && scale.length ? scale : DEFAULT_SEVERITIES;
+    const list = src.filter(x => x && x.id != null).map((x, rank) => {
+      const id = String(x.id).toLowerCase().replace(/[^a-z0-9_-]+/g, "_");
+      const outcome = OUTCOMES.includes(x.outcome) ? x.outcome : "pass";
+      const label = String(x.label || id.charAt(0).toUpperCase() + id.slice(1));
+      return {
+        id, label, rank, outcome,
+        title: String(x.title || label),
+        abbr: String(x.abbr || label.charAt(0)).toUpperCase(),
+        aliases: (Array.isArray(x.aliases) ? x.aliases : []).map(a => String(a).toLowerCase()),
+        color: safeColor(x.color) || OUTCOME_COLOR[outcome]
+      };
+    });
+    const byId = Object.fromEntries(list.map(x => [x.id, x]));
+    const fallback = list[list.length - 1];
+    const names = list.flatMap(x => [[x.id, x.id], ...x.aliases.map(a => [a, x.id])]);
+    const exact = new Map(names);
+
+    const model = {
+      list, byId,
+      // exact id/alias first, then prefix ("ERRORS" → error), else least severe
+      normalize(level){
+        const l = String(level ?? "").trim().toLowerCase();
+        if (exact.has(l)) return exact.get(l);
+        const hit = l && names.find(([n]) => l.startsWith(n));
+        return hit ? hit[1] : fallback.id;
+      },
+      outcome: id => (byId[id] || fallback).outcome,
+      isIssue: id => model.outcome(id) !== "pass",
+      count(rows){
+        const c = Object.fromEntries(list.map(x => [x.id, 0]));
+        c.total = 0;
+        rows.forEach(r => { c[byId[r.level] ? r.level : fallback.id]++; c.total++; });
+        return c;
+      },
+      // legacy { info, warning, error, total } shape, by outcome
+      rollup(rows){
+        const c = { info:0, warning:0, error:0, total:0 };
+        rows.forEach(r => { c[OUTCOME_BUCKET[model.outcome(r.level)]]++; c.total++; });
+        return c;
+      },
+      worst(rows){
+        let best = null;
+        rows.forEach(r => { const x = byId[r.level] || fallback; if (!best || x.rank < best.rank) best = x; });
+        return best || fallback;
+      }
+    };
+    return model;
+  }
+  const DEFAULT_MODEL = severityModel(DEFAULT_SEVERITIES);
+
+  // map every log level onto the scale (copies only rows that change)
+  const normalizeLogs = (logs, sev) => logs.map(r => {
+    const level = sev.normalize(r.level);
+    return r.level === level ? r : { ...r, level };
+  });
+
+  // ------ shared render helpers ------
+  const esc = s => String(s ?? "").replace(/[&<>\"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+  const idify = s => esc(s).replace(/[^a-zA-Z0-9_-]+/g, "_");
+  const safeUrl = u => /^https?:\/\//i.test(String(u || "")) ? String(u) : "";
+  // JSON safe to inline in <script type="application/json"> (no "</script>" breakout)
+  const scriptJson = v => JSON.stringify(v).replace(/</g, "\\u003c");
+
+  // static reports: custom properties replaced by the light palette (many mail clients drop var())
+  function resolveCssVars(css){
+    // later blocks win: dark :root, then body.light, then any overrides in the extra CSS
+    const palette = {};
+    css.replace(/(:root|body\.light)\{([^}]*)\}/g, (m, sel, block) =>
+      block.replace(/--([\w-]+)\s*:\s*([^;]+);/g, (d, k, v) => (palette[k] = v.trim())));
+    return css.replace(/(:root|body\.light)\{[^}]*\}/g, "")
+      .replace(/var\(--([\w-]+)(?:\s*,\s*([^)]*))?\)/g, (m, k, dflt) => palette[k] ?? (dflt != null ? dflt.trim() : m));
+  }
+
+  // map ruleId -> catalog entry
+  const catalogOf = allRules => Object.fromEntries(
+    (Array.isArray(allRules) ? allRules : []).filter(r => r && r.id != null).map(r => [r.id, r])
+  );
+  const suggestionsOf = allRules => Object.fromEntries(
+    Object.entries(catalogOf(allRules)).map(([id, r]) => [id, r.suggestions || []])
+  );
+
+  /**
+   * Group logs by rule and merge in the rule catalog.
+   * @param {Array<Object>} data - validation logs
+   * @param {Array<Object>} allRules - rule catalog
+   * @param {Object} [sev] - severity model
+   * @returns {Array<Object>} { ruleId, description, type, owner, docs, suggestions, rows, counts, status, outcome, issues, anchor }
+   */
+  function buildRuleBlocks(data, allRules, sev = DEFAULT_MODEL){
+    const catalog = catalogOf(allRules);
+    const byRule = {};
+    for (const r of data) (byRule[keyOf(r)] ||= []).push(r);
+
+    return Object.entries(byRule).map(([ruleKey, rows]) => {
+      const meta = catalog[ruleKey] || {};
+      const description = meta.description || rows[0]?.description || "";
+      const type = rows[0]?.type || meta.type || "";
+      const owner = meta.owner || "";
+      const docs = safeUrl(meta.docs || meta.documentation || meta.docUrl);
+      const suggestions = meta.suggestions || [];
+      const counts = sev.count(rows);
+      const worst = sev.worst(rows);
+      const issues = rows.filter(x => sev.isIssue(x.level)).length;
+      const anchor = "rule_" + idify(ruleKey);
+      return { ruleId: ruleKey, description, type, owner, docs, suggestions, rows, counts, status: worst.id, outcome: worst.outcome, issues, anchor };
+    });
+  }
+
+  // { info, warning, error, total } by outcome of the (normalized) levels
+  const countLogs = (logs, sev = DEFAULT_MODEL) => sev.rollup(logs);
+
+  // "2 error(s), 0 warning(s)" over the issue severities of the scale
+  const issueSummary = (counts, sev) => sev.list.filter(x => x.outcome !== "pass")
+    .map(x => `${counts[x.id]||0} ${x.label.toLowerCase()}(s)`).join(", ");
+
+  // ------ run history ------
+  const HISTORY_KEY = "validationHistory";
+
+  function historyEntry(logs, counts, sev){
+    const byRule = {};
+    for (const r of logs) (byRule[keyOf(r)] ||= []).push(r);
+    const rules = Object.fromEntries(Object.entries(byRule).map(([id, rows]) => {
+      const c = countLogs(rows, sev);
+      return [id, { info:c.info, warning:c.warning, error:c.error }];
+    }));
+    return { ts: new Date().toISOString(), counts: { info:counts.info, warning:counts.warning, error:counts.error, total:counts.total }, rules };
+  }
+
+  /**
+   * Append a run to the node's history and return the bounded history.
+   * @param {Object} node - report node (historyStore/historyContext/historyFile/historySize)
+   * @param {Object} entry - from historyEntry()
+   * @returns {Array<Object>} oldest → newest, at most node.historySize entries
+   */
+  function recordHistory(node, entry){
+    const size = node.historySize;
+    if (node.historyStore === "file"){
+      const full = nodePath.resolve(RED.settings.userDir || process.cwd(), node.historyFile);
+      const prev = fs.existsSync(full)
+        ? fs.readFileSync(full, "utf8").split("\n").filter(Boolean).map(l => { try { return JSON.parse(l); } catch(e){ return null; } }).filter(Boolean)
+        : [];
+      const history = prev.concat(entry).slice(-size);
+      fs.mkdirSync(nodePath.dirname(full), { recursive:true });
+      fs.writeFileSync(full, history.map(h => JSON.stringify(h)).join("\n") + "\n");
+      return history;
+    }
+    const ctx = node.context();
+    const store = node.historyContext || undefined;
+    const history = (ctx.get(HISTORY_KEY, store) || []).concat(entry).slice(-size);
+    ctx.set(HISTORY_KEY, history, store);
+    return history;
+  }
+
+  // ------ quality gate ------
+  const threshold = v => (v === "" || v == null || isNaN(+v)) ? null : +v;
+
+  /**
+   * Evaluate the quality gate; a blank threshold is not checked.
+   * @param {Array<Object>} logs - validation logs
+   * @param {Object} counts - { info, warning, error, total }
+   * @param {Object} limits - { maxErrors, maxWarnings, ruleMax, maxErrorPct, maxWarningPct }
+   * @param {Object} [sev] - severity model ("errors" = fail outcome, "warnings" = warn outcome)
+   * @returns {{pass:boolean, reasons:string[], limits:Object, counts:Object}}
+   */
+  function evaluateGate(logs, counts, limits, sev){
+    const reasons = [];
+    const pct = n => counts.total ? (n * 100 / counts.total) : 0;
+    const fmt = n => Math.round(n * 100) / 100;
+
+    if (limits.maxErrors != null && counts.error > limits.maxErrors){
+      reasons.push(`${counts.error} error(s) > max ${limits.maxErrors}`);
+    }
+    if (limits.maxWarnings != null && counts.warning > limits.maxWarnings){
+      reasons.push(`${counts.warning} warning(s) > max ${limits.maxWarnings}`);
+    }
+    if (limits.maxErrorPct != null && pct(counts.error) > limits.maxErrorPct){
+      reasons.push(`${fmt(pct(counts.error))}% error rows > max ${limits.maxErrorPct}%`);
+    }
+    if (limits.maxWarningPct != null && pct(counts.warning) > limits.maxWarningPct){
+      reasons.push(`${fmt(pct(counts.warning))}% warning rows > max ${limits.maxWarningPct}%`);
+    }
+    if (limits.ruleMax != null){
+      const byRule = {};
+      for (const r of logs) (byRule[keyOf(r)] ||= []).push(r);
+      for (const [id, rows] of Object.entries(byRule)){
+        const c = countLogs(rows, sev);
+        const issues = c.error + c.warning;
+        if (issues > limits.ruleMax) reasons.push(`rule ${id}: ${issues} issue(s) > max ${limits.ruleMax} per rule`);
+      }
+    }
+    return { pass: reasons.length === 0, reasons, limits, counts: { ...counts } };
+  }
+
+  // ------ baseline comparison ------
+  const fingerprint = r => JSON.stringify([keyOf(r), r.source_sheet || "", r.target_sheet || "", String(valueOf(r))]);
+
+  /**
+   * Compare the issues (warning/error rows) of two runs. Identical issues are matched one to one:
+   * a current row consumes one baseline row with its fingerprint, the excess is new, and the
+   * baseline rows left over are resolved.
+   * @param {Array<Object>} logs - current logs
+   * @param {Array<Object>} baseLogs - baseline logs
+   * @param {Object} [sev] - severity model
+   * @returns {{stateOf:Map<Object,string>, new:Array, persisting:Array, resolved:Array, counts:Object}}
+   */
+  function diffAgainstBaseline(logs, baseLogs, sev = DEFAULT_MODEL){
+    const baseIssues = baseLogs.filter(r => sev.isIssue(r.level));
+    // fingerprint -> indexes of the baseline rows not yet matched
+    const unmatched = new Map();
+    baseIssues.forEach((r, i) => {
+      const fp = fingerprint(r);
+      if (!unmatched.has(fp)) unmatched.set(fp, []);
+      unmatched.get(fp).push(i);
+    });
+    const matched = new Set();
+    const stateOf = new Map();
+    const diff = { stateOf, new:[], persisting:[], resolved:[] };
+
+    for (const r of logs){
+      if (!sev.isIssue(r.level)) continue;
+      const base = unmatched.get(fingerprint(r))?.shift();
+      if (base !== undefined) matched.add(base);
+      const state = base !== undefined ? "persisting" : "new";
+      stateOf.set(r, state);
+      diff[state].push(r);
+    }
+    diff.resolved = baseIssues.filter((r, i) => !matched.has(i));
+    diff.resolved.forEach(r => stateOf.set(r, "resolved"));
+    diff.counts = { new: diff.new.length, persisting: diff.persisting.length, resolved: diff.resolved.length };
+    return diff;
+  }
 
   /**
    * Generate the full HTML report (your original function, adapted to accept rules).
    * @param {Array<Object>} results - validation logs array
-   * @param {Array<Object>} allRules - Rules
+   * @param {Array<Object>} allRules - Rule catalog: { id, description, suggestions[], owner, docs }
+   * @param {Object} [opts]
+   * @param {Object} [opts.diff] - result of diffAgainstBaseline()
+   * @param {Array<Object>} [opts.history] - result of recordHistory() (current run last)
+   * @param {Object} [opts.gate] - result of evaluateGate()
+   * @param {Object} [opts.severities] - severity model (default: error / warning / info)
+   * @param {Object} [opts.truncated] - { shown, total } when rows were cut by limitRows()
+   * @param {Array<string>} [opts.sources] - aggregated source keys (rows carry `origin`);
+   *   every grouping is then nested under a per-source header
+   * @param {Array<Object>} [opts.columns] - table columns, see columnsOf()
+   * @param {Array<Object>} [opts.waived] - rows matched by a waiver (each carries `waiver`), see applyWaivers()
+   * @param {Array<Object>} [opts.expiredWaivers] - expired waiver entries (with `rows`), flagged in a notice
+   * @param {Array<string>} [opts.dedupe] - key fields; rows sharing them collapse into one
+   *   table row with an occurrence count (see dedupeKeyOf())
+   * @param {Object} [opts.brand] - { title, subtitle, logo (data URI), meta: [{ label, value }], css, footer }
+   * @param {string} [opts.lang] - UI language (BCP 47), see translator(); [opts.translations] custom strings,
+   *   [opts.dir] "ltr" | "rtl" (default: from the language)
+   * @param {string} [opts.locale] - timestamp locale (default: opts.lang); [opts.timeZone] IANA zone (default: the server's)
+   * @param {Object} [opts.static] - { rows } script-free report (email / archive): rows rendered
+   *   server-side in the rule grouping, first `rows` per table (0 = all), light palette, no scripts
+   * @returns {string}
+   */
+  function generateValidationReport(results, allRules, opts = {}) {
+    return Array.from(reportParts(results, allRules, opts)).join("");
+  }
+
+  /**
+   * The report as a sequence of HTML chunks, so it can be streamed to a file without
+   * building one giant string: the page is prepared up front, the row data is packed and
+   * serialized ROW_CHUNK rows at a time as the chunks are read.
+   * Same arguments as generateValidationReport().
+   * @returns {Iterable<string>} read once; `count` is the number of chunks
    */
-  function generateValidationReport(results, allRules) {
+  function reportParts(results, allRules, opts = {}) {
     // ---------- helpers ----------
-    const now = new Date().toLocaleString();
-    const esc = s => String(s ?? "").replace(/[&<>\"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
-    const idify = s => esc(s).replace(/[^a-zA-Z0-9_-]+/g, "_");
-    const isIssue = lvl => lvl === "error" || lvl === "warning";
+    // UI language, text direction and timestamp format (see translator(), formatDate())
+    const { t, lang, dir, strings } = translator(opts.lang, opts.translations, opts.dir);
+    const dateFmt = { locale: opts.locale || lang, timeZone: opts.timeZone || "" };
+    const now = formatDate(new Date(), dateFmt);
 
     const data = Array.isArray(results) ? results : [];
+    const sev = opts.severities || DEFAULT_MODEL;
+    const isIssue = lvl => sev.isIssue(lvl);
+    const sevOf = lvl => sev.byId[lvl] || sev.list[sev.list.length - 1];
+
+    // branding (see opts.brand)
+    const brand = opts.brand || {};
+    const title = String(brand.title || "").trim() || t("title");
+    const meta = Array.isArray(brand.meta) ? brand.meta : [];
 
     // map ruleId -> suggestions[]
-    const suggestionMap = Object.fromEntries(
-      (Array.isArray(allRules) ? allRules : []).map(r => [r.id, r.suggestions || []])
-    );
+    const suggestionMap = suggestionsOf(allRules);
 
     // ---------- groupings ----------
 
-    const byRule = {};
-    const keyOf = r => r.ruleId ?? r.id ?? r.rule ?? "(unknown)";
-    for (const r of data) (byRule[keyOf(r)] ||= []).push(r);
-
-    const ruleBlocks = Object.entries(byRule).map(([ruleKey, rows]) => {
-      const description = rows[0]?.description || "";
-      const type = rows[0]?.type || "";
-      const counts = rows.reduce((a, x) => { a.total++; a[x.level]=(a[x.level]||0)+1; return a; }, {total:0,info:0,warning:0,error:0});
-      const status = counts.error ? "error" : counts.warning ? "warning" : "info";
-      const issues = (counts.error||0)+(counts.warning||0);
-      const anchor = "rule_" + idify(ruleKey);
-      return { ruleId: ruleKey, description, type, rows, counts, status, issues, anchor };
-    });
+    const ruleBlocks = buildRuleBlocks(data, allRules, sev);
 
     // By sheet (source or target, excluding engine)
-    const sheetNames = new Set();
-    data.forEach(x => {
-      if (x.source_sheet && x.source_sheet !== "(engine)") sheetNames.add(x.source_sheet);
-      if (x.target_sheet && x.target_sheet !== "(engine)") sheetNames.add(x.target_sheet);
+    const bySheet = rows => {
+      const sheetNames = new Set();
+      rows.forEach(x => {
+        if (x.source_sheet && x.source_sheet !== "(engine)") sheetNames.add(x.source_sheet);
+        if (x.target_sheet && x.target_sheet !== "(engine)") sheetNames.add(x.target_sheet);
+      });
+      const out = {};
+      for (const s of sheetNames) out[s] = rows.filter(x => x.source_sheet === s || x.target_sheet === s);
+      // rows that name no sheet would otherwise vanish from the sheet view
+      const sheetless = rows.filter(x => !sheetNames.has(x.source_sheet) && !sheetNames.has(x.target_sheet));
+      if (sheetless.length) out["(no sheet)"] = sheetless;
+      return out;
+    };
+
+    // By rule type / by level
+    const byType = rows => {
+      const out = {};
+      for (const r of rows) (out[r.type || "(no type)"] ||= []).push(r);
+      return out;
+    };
+    const byLevel = rows => {
+      const out = {};
+      for (const { id } of sev.list) {
+        const list = rows.filter(x => x.level === id);
+        if (list.length) out[id] = list;
+      }
+      return out;
+    };
+
+    // aggregated sources (arrival order), rows tagged with `origin`
+    const sources = Array.isArray(opts.sources) && opts.sources.length ? opts.sources.map(String) : null;
+    const bySource = {};
+    if (sources) for (const r of data) (bySource[r.origin] ||= []).push(r);
+
+    // baseline comparison (resolved rows only exist in the baseline)
+    const diff = opts.diff || null;
+    const changeOf = r => diff?.stateOf.get(r) || "";
+
+    // waived rows live in their own section; expired waivers are flagged
+    const waived = Array.isArray(opts.waived) ? opts.waived : [];
+    const expiredWaivers = Array.isArray(opts.expiredWaivers) ? opts.expiredWaivers : [];
+
+    // duplicate groups: counts can show raw rows and distinct issues
+    const dedupe = Array.isArray(opts.dedupe) && opts.dedupe.length ? opts.dedupe : null;
+    const groupIds = new Map(), groupOfRow = new Map();
+    const groupOf = r => {
+      if (!groupOfRow.has(r)) {
+        const k = dedupeKeyOf(r, dedupe);
+        if (!groupIds.has(k)) groupIds.set(k, groupIds.size);
+        groupOfRow.set(r, groupIds.get(k));
+      }
+      return groupOfRow.get(r);
+    };
+    // static mode: no scripts, every row rendered here (see staticBody())
+    const staticMode = opts.static ? { rows: Math.max(0, parseInt(opts.static.rows, 10) || 0) } : null;
+
+    const distinctOf = rows => {
+      if (!dedupe) return null;
+      const out = {};
+      for (const { id } of sev.list) out[id] = new Set(rows.filter(r => r.level === id).map(groupOf)).size;
+      return out;
+    };
+
+    // ---------- row data ----------
+    // Rows are embedded once as compact JSON and rendered page by page in the browser;
+    // they are packed while the report is written (see chunks()), ahead of the dict they fill.
+    // Repeated strings (rule, level, type, sheets, change, origin) are interned into `dict`;
+    // a row is [rule, level, type, source, target, change, origin, detail, ...extra column values]
+    // (detail: see detailOf()) and its uid is its index. Resolved baseline rows, then waived rows,
+    // follow the current ones (change "resolved" / "waived").
+    // default column labels follow the UI language; labels set in the config are kept as written
+    const columns = columnsOf(opts.columns).map(c => c.label === DEFAULT_LABELS[c.field] ? { ...c, label: t(`col.${c.field}`) } : c);
+    const extraCols = columns.filter(c => !ROW_FIELDS.includes(c.field));
+    const dict = [], dictIdx = new Map();
+    const intern = v => {
+      const k = String(v ?? "");
+      if (!dictIdx.has(k)) { dictIdx.set(k, dict.length); dict.push(k); }
+      return dictIdx.get(k);
+    };
+    const packRow = (r, change) => [
+      intern(keyOf(r)), intern(r.level), intern(r.type), intern(r.source_sheet), intern(r.target_sheet),
+      intern(change), intern(sources ? r.origin : ""), detailOf(r, change === "waived" ? r.waiver : null),
+      ...extraCols.map(c => cellData(fieldOf(r, c.field)))
+    ];
+    // row uid -> log row, and its change
+    const allRows = data.concat(diff ? diff.resolved : [], waived);
+    const resolvedEnd = data.length + (diff ? diff.resolved.length : 0);
+    const changeAt = i => i < data.length ? changeOf(allRows[i]) : i < resolvedEnd ? "resolved" : "waived";
+    // row uid -> duplicate group
+    const groups = dedupe ? allRows.map(groupOf) : null;
+    // suggestions once per rule, not per row
+    const ruleKeys = new Set(allRows.map(r => String(keyOf(r))));
+    const suggestions = Object.fromEntries(Object.entries(suggestionMap)
+      .filter(([id, list]) => ruleKeys.has(id) && Array.isArray(list) && list.length)
+      .map(([id, list]) => [id, list.map(String)]));
+
+    // run history (inline SVG only, no charting library)
+    const history = Array.isArray(opts.history) ? opts.history : [];
+    const linePoints = (vals, w, h, max, pad = 2) => vals.map((v, i) => {
+      const x = vals.length > 1 ? pad + i * (w - 2*pad) / (vals.length - 1) : w / 2;
+      const y = h - pad - (max ? v / max : 0) * (h - 2*pad);
+      return [Math.round(x*10)/10, Math.round(y*10)/10];
     });
-    const bySheet = {};
-    for (const s of sheetNames) {
-      const rows = data.filter(x => x.source_sheet === s || x.target_sheet === s);
-      const counts = rows.reduce((a, r) => { a.total++; a[r.level]=(a[r.level]||0)+1; return a; }, {total:0,info:0,warning:0,error:0});
-      const status = counts.error ? "error" : counts.warning ? "warning" : "info";
-      bySheet[s] = { rows, counts, status };
-    }
+    const polyline = (pts, cls) => `<polyline class="${cls}" fill="none" points="${pts.map(p => p.join(",")).join(" ")}"/>`;
+
+    const renderTrend = () => {
+      if (!history.length) return "";
+      const W = 640, H = 140, padL = 34, padB = 18;
+      const errs  = history.map(h => h.counts?.error || 0);
+      const warns = history.map(h => h.counts?.warning || 0);
+      const max = Math.max(1, ...errs, ...warns);
+      const shift = pts => pts.map(([x, y]) => [x + padL, y]);
+      const ePts = shift(linePoints(errs,  W - padL - 8, H - padB, max, 6));
+      const wPts = shift(linePoints(warns, W - padL - 8, H - padB, max, 6));
+      const dots = (pts, vals, cls, label) => pts.map(([x, y], i) =>
+        `<circle class="${cls}" cx="${x}" cy="${y}" r="3"><title>${esc(formatDate(history[i].ts, dateFmt))} — ${esc(label)}: ${vals[i]}</title></circle>`).join("");
+      return `
+    <div class="card trend">
+      <div class="muted">${esc(t("trendHead", { n: history.length }))}
+        <span class="pill"><span class="dot err"></span>${esc(t("errors"))}</span>
+        <span class="pill"><span class="dot warn"></span>${esc(t("warnings"))}</span></div>
+      <svg class="trend-svg" viewBox="0 0 ${W} ${H}" preserveAspectRatio="none" role="img" aria-label="${esc(t("trendAria"))}">
+        <line class="axis" x1="${padL}" y1="${H - padB}" x2="${W - 4}" y2="${H - padB}"/>
+        <line class="axis" x1="${padL}" y1="4" x2="${padL}" y2="${H - padB}"/>
+        <text class="axis-lbl" x="${padL - 4}" y="12" text-anchor="end">${max}</text>
+        <text class="axis-lbl" x="${padL - 4}" y="${H - padB}" text-anchor="end">0</text>
+        <text class="axis-lbl" x="${padL}" y="${H - 4}">${esc(formatDate(history[0].ts, dateFmt, true))}</text>
+        <text class="axis-lbl" x="${W - 4}" y="${H - 4}" text-anchor="end">${esc(formatDate(history[history.length - 1].ts, dateFmt, true))}</text>
+        ${polyline(wPts, "ln-warn")}${polyline(ePts, "ln-err")}
+        ${dots(wPts, warns, "pt-warn", t("warnings"))}${dots(ePts, errs, "pt-err", t("errors"))}
+      </svg>
+    </div>`;
+    };
+
+    // per-rule sparkline of issues (errors + warnings)
+    const renderSparkline = ruleId => {
+      if (history.length < 2) return "";
+      const vals = history.map(h => { const c = h.rules?.[ruleId] || {}; return (c.error || 0) + (c.warning || 0); });
+      const pts = linePoints(vals, 80, 20, Math.max(1, ...vals));
+      return `<svg class="spark" viewBox="0 0 80 20" width="80" height="20" role="img" aria-label="${esc(t("sparkAria", { n: vals.length }))}"><title>${esc(t("sparkTitle", { list: vals.join(", ") }))}</title>${polyline(pts, "ln-spark")}</svg>`;
+    };
 
     // ---------- summary ----------
     const totalRules = ruleBlocks.length;
     const totalRows  = data.length;
-    const rulesPassed   = ruleBlocks.filter(r => r.status === "info").length;
-    const rulesWarn     = ruleBlocks.filter(r => r.status === "warning").length;
-    const rulesErr      = ruleBlocks.filter(r => r.status === "error").length;
-    const infoRows = data.filter(x=>x.level==="info").length;
-    const warnRows = data.filter(x=>x.level==="warning").length;
-    const errRows  = data.filter(x=>x.level==="error").length;
+    const rulesPassed   = ruleBlocks.filter(r => r.outcome === "pass").length;
+    const rulesWarn     = ruleBlocks.filter(r => r.outcome === "warn").length;
+    const rulesErr      = ruleBlocks.filter(r => r.outcome === "fail").length;
+    const levelRows = sev.count(data);
+    const levelDistinct = distinctOf(data);
+
+    // severity colours: dots, level cells, pills and chart marks share one class per severity
+    const sevCss = sev.list.map(x =>
+      `.dot.sev-${x.id}{ background:${x.color}; } .lvl.sev-${x.id}{ color:${x.color}; } .status-badge.sev-${x.id}{ border:1px solid ${x.color}; } ` +
+      `.fill.sev-${x.id}{ fill:${x.color}; } .stroke.sev-${x.id}{ stroke:${x.color}; }`
+    ).join("\n    ");
+    const dot = id => `<span class="dot sev-${sevOf(id).id}"></span>`;
+    // with duplicate grouping: "rows / distinct"
+    const pills = (counts, distinct) => sev.list.map(x => distinct
+      ? `<span class="pill" title="${esc(t("pillTitle", { level: x.label, rows: counts[x.id]||0, distinct: distinct[x.id] }))}">${dot(x.id)}${counts[x.id]||0}<span class="muted">/${distinct[x.id]}</span></span>`
+      : `<span class="pill" title="${esc(x.label)}">${dot(x.id)}${counts[x.id]||0}</span>`).join("\n            ");
+    const countAttrs = counts => sev.list.map(x => `data-count-${x.id}="${counts[x.id]||0}"`).join(" ");
+    const badge = status => `<span class="status-badge sev-${sevOf(status).id}">${esc(sevOf(status).label.toUpperCase())}</span>`;
+
+    // ---------- summary charts (inline SVG; a click filters and jumps, see chartFilter) ----------
+    const clip = (s, n) => (s = String(s)).length > n ? s.slice(0, n - 1) + "…" : s;
+    const share = (n, total) => total ? Math.round(n / total * 1000) / 10 : 0;
+    const chartTarget = attrs => staticMode ? attrs : `${attrs} tabindex="0" role="button" onclick="chartFilter(this)" onkeydown="if(event.key==='Enter')chartFilter(this)"`;
+
+    // rows per level
+    const renderDonut = () => {
+      const total = data.length;
+      const R = 42, C = 2 * Math.PI * R;
+      let at = 0;
+      const segs = sev.list.filter(x => levelRows[x.id]).map(x => {
+        const len = levelRows[x.id] / total * C;
+        const seg = `<circle class="stroke sev-${x.id}" cx="60" cy="60" r="${R}" fill="none" stroke-width="18"
+          stroke-dasharray="${len.toFixed(2)} ${(C - len).toFixed(2)}" stroke-dashoffset="${(-at).toFixed(2)}" transform="rotate(-90 60 60)"
+          ${chartTarget(`data-level="${esc(x.id)}"`)}><title>${esc(x.label)}: ${levelRows[x.id]} (${share(levelRows[x.id], total)}%)</title></circle>`;
+        at += len;
+        return seg;
+      });
+      return `
+      <figure class="chart">
+        <figcaption class="muted">${esc(t("chartLevels"))}</figcaption>
+        <svg class="donut" viewBox="0 0 120 120" role="img" aria-label="${esc(t("chartLevels"))}">
+          ${segs.join("\n          ")}
+          <text class="donut-total" x="60" y="66" text-anchor="middle">${total}</text>
+        </svg>
+        <div>${sev.list.map(x => `<span class="pill">${dot(x.id)}${esc(x.label)} ${levelRows[x.id]}</span>`).join(" ")}</div>
+      </figure>`;
+    };
+
+    // top failing rules, one stacked bar per rule (issue levels only)
+    const TOP_RULES = 10;
+    const renderTopRules = () => {
+      const top = ruleBlocks.filter(b => b.issues > 0).sort((a, b) => b.issues - a.issues).slice(0, TOP_RULES);
+      if (!top.length) return "";
+      const issueLevels = sev.list.filter(x => x.outcome !== "pass");
+      const W = 360, rowH = 22, labelW = 120, max = top[0].issues;
+      const bars = top.map((b, i) => {
+        const y = i * rowH;
+        let x = labelW;
+        const segs = issueLevels.map(l => {
+          const n = b.counts[l.id] || 0;
+          if (!n) return "";
+          const w = n / max * (W - labelW - 36);
+          const rect = `<rect class="fill sev-${l.id}" x="${x.toFixed(1)}" y="${y + 4}" width="${w.toFixed(1)}" height="${rowH - 8}"><title>${esc(b.ruleId)} · ${esc(l.label)}: ${n}</title></rect>`;
+          x += w;
+          return rect;
+        }).join("");
+        return `<g ${chartTarget(`data-rule="${esc(b.ruleId)}"`)}>
+          <text class="axis-lbl" x="${labelW - 6}" y="${y + 15}" text-anchor="end">${esc(clip(b.ruleId, 20))}<title>${esc(b.ruleId)}</title></text>
+          ${segs}<text class="axis-lbl" x="${(x + 4).toFixed(1)}" y="${y + 15}">${b.issues}</text></g>`;
+      }).join("\n          ");
+      return `
+      <figure class="chart">
+        <figcaption class="muted">${esc(t("chartTopRules"))}</figcaption>
+        <svg viewBox="0 0 ${W} ${top.length * rowH}" role="img" aria-label="${esc(t("chartTopRulesAria"))}">
+          ${bars}
+        </svg>
+      </figure>`;
+    };
+
+    // sheet × level heatmap; shading is relative to the busiest sheet of each level
+    const HEAT_SHEETS = 15;
+    const renderHeatmap = () => {
+      const sheets = Object.entries(bySheet(data))
+        .map(([name, rows]) => ({ name, counts: sev.count(rows), issues: rows.filter(r => isIssue(r.level)).length }))
+        .sort((a, b) => b.issues - a.issues || a.name.localeCompare(b.name))
+        .slice(0, HEAT_SHEETS);
+      if (!sheets.length) return "";
+      const cellW = 54, cellH = 22, labelW = 110, headH = 18;
+      const maxOf = Object.fromEntries(sev.list.map(x => [x.id, Math.max(1, ...sheets.map(s => s.counts[x.id] || 0))]));
+      const head = sev.list.map((x, j) =>
+        `<text class="axis-lbl" x="${labelW + j * cellW + cellW / 2}" y="12" text-anchor="middle">${esc(clip(x.label, 9))}</text>`).join("");
+      const cells = sheets.map((s, i) => {
+        const y = headH + i * cellH;
+        return `<text class="axis-lbl" x="${labelW - 6}" y="${y + 15}" text-anchor="end">${esc(clip(s.name, 18))}<title>${esc(s.name)}</title></text>` +
+          sev.list.map((x, j) => {
+            const n = s.counts[x.id] || 0;
+            const opacity = n ? (0.2 + 0.8 * n / maxOf[x.id]).toFixed(2) : "0.05";
+            return `<g ${chartTarget(`data-sheet="${esc(s.name)}" data-level="${esc(x.id)}"`)}>` +
+              `<rect class="fill sev-${x.id}" x="${labelW + j * cellW + 1}" y="${y + 1}" width="${cellW - 2}" height="${cellH - 2}" rx="3" fill-opacity="${opacity}"/>` +
+              `<text class="heat-n" x="${labelW + j * cellW + cellW / 2}" y="${y + 15}" text-anchor="middle">${n}</text>` +
+              `<title>${esc(s.name)} · ${esc(x.label)}: ${n}</title></g>`;
+          }).join("");
+      }).join("\n          ");
+      return `
+      <figure class="chart">
+        <figcaption class="muted">${esc(t("chartHeat"))}</figcaption>
+        <svg viewBox="0 0 ${labelW + cellW * sev.list.length} ${headH + cellH * sheets.length}" role="img" aria-label="${esc(t("chartHeatAria"))}">
+          ${head}
+          ${cells}
+        </svg>
+      </figure>`;
+    };
+
+    const renderCharts = () => !data.length ? "" : `
+    <div class="card charts">${renderDonut()}${renderTopRules()}${renderHeatmap()}
+    </div>`;
 
     // ---------- CSS ----------
     const style = `
@@ -114,6 +1251,10 @@ module.exports = function(RED){
     html,body{height:100%}
     body{ background:var(--bg); color:var(--fg); font:14px/1.45 system-ui,Segoe UI,Roboto,Arial; margin:16px; }
     h1{ margin:0 0 6px; font-size:24px; }
+    .title-wrap.has-logo{ display:flex; align-items:center; gap:14px; }
+    .title-wrap .logo{ max-height:56px; max-width:220px; }
+    .subtitle{ font-size:15px; margin:-2px 0 4px; }
+    .report-footer{ margin:24px 0 8px; padding-top:10px; border-top:1px solid var(--border); font-size:12px; }
     .muted{ color:var(--muted); }
 
     /* ===== Fixed header dock (title + toolbar) ===== */
@@ -136,7 +1277,7 @@ module.exports = function(RED){
     .toolbar{ display:flex; align-items:center; gap:10px; flex-wrap:wrap; }
     .toolbar .input{ flex:1 1 120px; min-width:100px; }
     .toolbar .group{ flex:0 0 auto; }
-    .toolbar .group.export{ margin-left:auto; }
+    .toolbar .group.export{ margin-inline-start:auto; }
 
     .btn,.chip,.select,.input{
       background:var(--card2); border:1px solid var(--border); color:var(--fg);
@@ -144,7 +1285,7 @@ module.exports = function(RED){
     }
     .btn{ cursor:pointer; box-shadow:var(--shadow); }
     .btn:hover{ filter:brightness(1.05); }
-    .select{ padding-right:28px; }
+    .select{ padding-inline-end:28px; }
 
     .toolbar .group{
       display:flex; align-items:center; gap:8px;
@@ -153,7 +1294,7 @@ module.exports = function(RED){
     }
     .toolbar .group-title{
       font-size:12px; font-weight:700; text-transform:uppercase;
-      letter-spacing:.04em; opacity:.8; margin-right:2px;
+      letter-spacing:.04em; opacity:.8; margin-inline-end:2px;
     }
     .toolbar .divider{
       align-self:stretch; width:1px; background:var(--border); margin:0 6px;
@@ -176,13 +1317,44 @@ module.exports = function(RED){
     .big{ font-size:18px; font-weight:700; }
     .pill{ display:inline-flex; gap:6px; align-items:center; padding:2px 8px; border-radius:999px; background:var(--badge); }
 
+    /* ===== Trend / sparklines (inline SVG) ===== */
+    .card.trend{ grid-column:1 / -1; }
+    .trend-svg{ width:100%; height:140px; display:block; margin-top:6px; }
+    .trend-svg .axis{ stroke:var(--border); stroke-width:1; }
+    .trend-svg .axis-lbl{ fill:var(--muted); font-size:10px; }
+
+    /* ===== Summary charts (inline SVG) ===== */
+    .card.charts{ grid-column:1 / -1; display:flex; flex-wrap:wrap; gap:18px; align-items:flex-start; }
+    .chart{ margin:0; flex:1 1 260px; min-width:0; }
+    .chart svg{ display:block; width:100%; height:auto; margin:6px 0; }
+    .chart svg, .trend-svg, .spark{ direction:ltr; } /* drawn left to right in any text direction */
+    .chart svg.donut{ max-width:150px; }
+    .chart .axis-lbl{ fill:var(--muted); font-size:10px; }
+    .chart [role="button"]{ cursor:pointer; }
+    .chart [role="button"]:hover, .chart [role="button"]:focus{ opacity:.75; outline:none; }
+    .donut-total{ fill:var(--fg); font-size:18px; font-weight:700; }
+    .heat-n{ fill:var(--fg); font-size:11px; pointer-events:none; }
+    .ln-err{ stroke:var(--err); stroke-width:2; } .ln-warn{ stroke:var(--warn); stroke-width:2; }
+    .pt-err{ fill:var(--err); } .pt-warn{ fill:var(--warn); }
+    .spark{ flex:0 0 auto; } .ln-spark{ stroke:var(--link); stroke-width:1.5; }
+
+    /* ===== Quality gate banner ===== */
+    .gate{ border:1px solid var(--border); border-inline-start:6px solid var(--ok); border-radius:12px; padding:10px 14px; margin:8px 0 10px; background:var(--card); box-shadow:var(--shadow); }
+    .gate.fail{ border-inline-start-color:var(--err); }
+    .gate.notice{ border-inline-start-color:var(--warn); }
+    .gate ul{ margin:6px 0 0; padding-inline-start:20px; }
+
     /* ===== Rule / section cards ===== */
     .rule{ background:var(--card); border:1px solid var(--border); border-radius:12px; margin:16px 0; box-shadow:var(--shadow); }
     .rule-hd{ padding:12px 14px; border-bottom:1px solid var(--border); display:flex; align-items:center; gap:10px; }
-    .rule-title{ font-size:18px; font-weight:700; margin-right:auto; }
+    .rule-title{ font-size:18px; font-weight:700; margin-inline-end:auto; }
+    .source-group{ border-inline-start:3px solid var(--border); padding-inline-start:12px; margin:18px 0; }
+    .source-hd{ border-bottom:none; padding-inline-start:0; }
+    .src-card{ cursor:pointer; }
     .status-badge{ padding:2px 10px; border-radius:999px; font-weight:700; background:var(--badge); }
     .status-badge.ok{ border:1px solid var(--ok); } .status-badge.warn{ border:1px solid var(--warn); } .status-badge.err{ border:1px solid var(--err); }
     .rule-desc{ padding:8px 14px; color:var(--muted); }
+    .rule-desc a{ color:var(--link); }
     details.rule-body{ padding:0 0 10px; }
 
     .sec{ margin:10px 14px 16px; border:1px solid var(--border); border-radius:10px; overflow:hidden; }
@@ -192,17 +1364,52 @@ module.exports = function(RED){
     /* ===== Table ===== */
     table{ border-collapse:collapse; width:100%; }
     thead th{
-      background:var(--thead); color:var(--theadTxt); padding:8px; text-align:left;
+      background:var(--thead); color:var(--theadTxt); padding:8px; text-align:start;
       border-bottom:1px solid var(--border); position:sticky; top:0; z-index:1;
     }
     tbody td{ border-bottom:1px solid var(--border); padding:8px; }
+    thead th[onclick]{ cursor:pointer; user-select:none; }
+    thead th[aria-sort="ascending"]::after{ content:" ▲"; font-size:10px; }
+    thead th[aria-sort="descending"]::after{ content:" ▼"; font-size:10px; }
+    thead th[data-sort-n]::after{ content:" " attr(data-sort-n); }
+    thead th[aria-sort="ascending"][data-sort-n]::after{ content:" ▲" attr(data-sort-n); }
+    thead th[aria-sort="descending"][data-sort-n]::after{ content:" ▼" attr(data-sort-n); }
+    thead tr.col-filters th{ position:static; padding:4px 8px; }
+    thead .col-filter{ width:100%; min-width:60px; box-sizing:border-box; padding:3px 6px; font-size:12px; }
+    th.fmt-number, td.fmt-number{ text-align:end; font-variant-numeric:tabular-nums; }
+    td.fmt-link a{ color:var(--link); }
     tbody tr:nth-child(odd){ background:var(--tableOdd); }
     tbody tr:nth-child(even){ background:var(--tableEven); }
     .lvl{ font-weight:700; }
-    .lvl.info{ color:var(--ok); } .lvl.warning{ color:var(--warn);} .lvl.error{ color:var(--err); }
+    ${sevCss}
+
+    /* baseline change badges (CSS content keeps them out of exports) */
+    .chg{ font-size:11px; font-weight:700; padding:1px 6px; border-radius:999px; border:1px solid var(--border); }
+    .chg.new{ color:var(--err); border-color:var(--err); }
+    .chg.persisting{ color:var(--warn); border-color:var(--warn); }
+    .chg.resolved{ color:var(--ok); border-color:var(--ok); }
+    tr[data-change] td[data-col="idx"]::after{ margin-inline-start:6px; font-size:10px; font-weight:700; }
+    tr[data-change="new"] td[data-col="idx"]::after{ content:${cssString(t("badgeNew"))}; color:var(--err); }
+    tr[data-change="persisting"] td[data-col="idx"]::after{ content:${cssString(t("badgePersisting"))}; color:var(--warn); }
+    tr[data-change="resolved"] td[data-col="idx"]::after{ content:${cssString(t("badgeResolved"))}; color:var(--ok); }
+    tr[data-change="waived"] td[data-col="idx"]::after{ content:${cssString(t("badgeWaived"))}; color:var(--muted); }
+    .chg.waived{ color:var(--muted); }
 
     /* inline “why” rows */
-    .why{ font-size:12px; color:var(--muted); margin-top:6px; border-left:2px solid var(--border); padding-left:8px; }
+    .why{ font-size:12px; color:var(--muted); margin-top:6px; border-inline-start:2px solid var(--border); padding-inline-start:8px; }
+    .why .loc{ margin-bottom:4px; }
+    .why details.record{ margin:4px 0 6px; }
+    .why details.record summary{ cursor:pointer; font-weight:700; }
+    table.kv{ width:auto; margin-top:4px; }
+    table.kv tr{ background:transparent; }
+    table.kv th, table.kv td{ padding:2px 0; padding-inline-end:10px; border-bottom:1px dashed var(--border); text-align:start; vertical-align:top; }
+    table.kv th{ font-weight:600; white-space:nowrap; }
+    table.kv td{ color:var(--fg); word-break:break-word; }
+    table.kv tr.failing th, table.kv tr.failing td{ color:var(--err); font-weight:700; }
+    table.kv tr.failing td{ background:var(--badge); }
+    .occ{ font-size:11px; font-weight:700; padding:1px 6px; border-radius:999px; background:var(--badge); }
+    .occ-btn{ padding:2px 8px; font-size:11px; margin-inline-start:6px; }
+    .pill .muted{ margin-inline-start:2px; }
 
     /* ===== Pagination ===== */
     .pager{ display:flex; gap:6px; align-items:center; padding:10px 12px; background:var(--card2); border-top:1px solid var(--border); }
@@ -217,6 +1424,11 @@ module.exports = function(RED){
     @media print{
       #headerDock{ display:none; }
       body{ background:#fff; color:#000; }
+      thead{ display:table-header-group; }
+      thead th{ position:static; }
+      tr, .card, .rule-hd{ break-inside:avoid; }
+      .rule-hd, .sec-h{ break-after:avoid; }
+      .pager .btn, .pager select, tr.col-filters{ display:none; }
       .rule{ page-break-inside:avoid; }
     }
 
@@ -224,14 +1436,14 @@ module.exports = function(RED){
     .dropdown{ position:relative; }
     .dropdown .menu-btn{ display:inline-flex; align-items:center; gap:6px; }
     .dropdown .menu-list{
-      position:absolute; top:calc(100% + 6px); right:0;
+      position:absolute; top:calc(100% + 6px); inset-inline-end:0;
       background:var(--card); border:1px solid var(--border);
       border-radius:12px; padding:6px; min-width:200px;
       box-shadow:var(--shadow); display:none; z-index:1000;
     }
     .dropdown .menu-list.open{ display:block; }
     .dropdown .menu-item{
-      display:block; width:100%; text-align:left;
+      display:block; width:100%; text-align:start;
       border-radius:10px; margin:4px 0; padding:8px 10px;
       background:var(--card2); border:1px solid var(--border);
     }
@@ -244,228 +1456,394 @@ module.exports = function(RED){
     const toolbar = `
   <div class="toolbar">
     <input id="searchBox" class="input"
-      placeholder="🔎 Search rows (value / sheet / rule)…"
-      title="Filters rows only (inside visible tables and rules)"
-      oninput="applyFilters()"/>
+      placeholder="${esc(t("search"))}"
+      title="${esc(t("searchTitle"))}"
+      oninput="scheduleFilters()"/>
+
+    <span class="divider"></span>
+
+    <div class="group" role="group" aria-labelledby="lblGroupBy">
+      <span id="lblGroupBy" class="group-title">${esc(t("group"))}</span>
+      <label class="sr-only" for="groupSelect">${esc(t("groupLabel"))}</label>
+      <select id="groupSelect" class="select"
+              title="${esc(t("groupTitle"))}"
+              onchange="switchGrouping()">
+        <option value="rule">${esc(t("byRule"))}</option>
+        <option value="sheet">${esc(t("bySheet"))}</option>
+        <option value="type">${esc(t("byType"))}</option>
+        <option value="level">${esc(t("byLevel"))}</option>
+      </select>
+    </div>
 
     <span class="divider"></span>
 
     <div class="group" role="group" aria-labelledby="lblRulesFilter">
-      <span id="lblRulesFilter" class="group-title">Rules</span>
-      <label class="sr-only" for="levelSelect">Rule status</label>
+      <span id="lblRulesFilter" class="group-title">${esc(t("sections"))}</span>
+      <label class="sr-only" for="levelSelect">${esc(t("sectionsLabel"))}</label>
       <select id="levelSelect" class="select"
-              title="Show rules that contain at least one row of this level"
+              title="${esc(t("sectionsTitle"))}"
               onchange="applyFilters()">
-        <option value="">All rule statuses</option>
-        <option value="info">Rules with Info</option>
-        <option value="warning">Rules with Warning</option>
-        <option value="error">Rules with Error</option>
+        <option value="">${esc(t("allStatuses"))}</option>
+        ${sev.list.map(x => `<option value="${x.id}">${esc(t("withLevel", { level: x.label }))}</option>`).join("\n        ")}
       </select>
     </div>
 
+    ${diff ? `<span class="divider"></span>
+
+    <div class="group" role="group" aria-labelledby="lblChanges">
+      <span id="lblChanges" class="group-title">${esc(t("changes"))}</span>
+      <label class="sr-only" for="changeSelect">${esc(t("changesLabel"))}</label>
+      <select id="changeSelect" class="select"
+              title="${esc(t("changesTitle"))}"
+              onchange="applyFilters()">
+        <option value="">${esc(t("allRows"))}</option>
+        <option value="new">${esc(t("chgNew"))} (${diff.counts.new})</option>
+        <option value="persisting">${esc(t("chgPersisting"))} (${diff.counts.persisting})</option>
+        <option value="resolved">${esc(t("chgResolved"))} (${diff.counts.resolved})</option>
+      </select>
+    </div>` : ""}
+
     <span class="divider"></span>
 
     <div class="group" role="group" aria-labelledby="lblTableFilter">
-      <span id="lblTableFilter" class="group-title">Tables</span>
-      <span class="chip active" id="chip-info"    title="Toggle Info sub-tables"    onclick="toggleChip('info')"><span class="dot ok"></span><span class="tag" id="count-info">${infoRows}</span></span>
-      <span class="chip active" id="chip-warning" title="Toggle Warning sub-tables" onclick="toggleChip('warning')"><span class="dot warn"></span><span class="tag" id="count-warn">${warnRows}</span></span>
-      <span class="chip active" id="chip-error"   title="Toggle Error sub-tables"   onclick="toggleChip('error')"><span class="dot err"></span><span class="tag" id="count-err">${errRows}</span></span>
+      <span id="lblTableFilter" class="group-title">${esc(t("tables"))}</span>
+      ${sev.list.map(x => `<span class="chip active" id="chip-${x.id}" title="${esc(t("toggleTables", { level: x.label }))}" onclick="toggleChip('${x.id}')">${dot(x.id)}<span class="tag" id="count-${x.id}">${levelRows[x.id]}</span></span>`).join("\n      ")}
     </div>
 
     <span class="divider"></span>
 
     <div class="group" role="group" aria-labelledby="lblView">
-      <span id="lblView" class="group-title">View</span>
-      <button class="btn" onclick="foldAll()"     title="Unfold all tables in all rules">▼</button>
-      <button class="btn" onclick="collapseAll()" title="Fold all tables in all rules">▲</button>
-      <button class="btn" onclick="toggleLight()"> ☀ </button>
+      <span id="lblView" class="group-title">${esc(t("view"))}</span>
+      <button class="btn" onclick="foldAll()"     title="${esc(t("unfoldAll"))}">▼</button>
+      <button class="btn" onclick="collapseAll()" title="${esc(t("foldAll"))}">▲</button>
+      <button class="btn" onclick="toggleLight()" title="${esc(t("theme"))}"> ☀ </button>
     </div>
 
     <div class="group export dropdown" role="group" aria-labelledby="lblExport">
-      <span id="lblExport" class="group-title">Export</span>
+      <span id="lblExport" class="group-title">${esc(t("export"))}</span>
       <button id="btnExport" class="btn menu-btn" aria-haspopup="true" aria-expanded="false"
               onclick="toggleExportMenu(event)">
-        Export ▾
+        ${esc(t("exportMenu"))}
       </button>
       <div id="exportMenu" class="menu-list" role="menu" aria-labelledby="btnExport">
-        <button class="menu-item" role="menuitem" onclick="exportIssuesCSV()">↓ Issues CSV</button>
-        <button class="menu-item" role="menuitem" onclick="exportVisibleJSON()">↓ Visible JSON</button>
-        <button class="menu-item" role="menuitem" onclick="copyVisible()">📋 Copy Visible</button>
+        <button class="menu-item" role="menuitem" onclick="exportIssuesCSV()">${esc(t("exportCsv"))}</button>
+        <button class="menu-item" role="menuitem" onclick="exportVisibleJSON()">${esc(t("exportJson"))}</button>
+        <button class="menu-item" role="menuitem" onclick="copyVisible()">${esc(t("copyVisible"))}</button>
         <div class="menu-sep" aria-hidden="true"></div>
-        <button class="menu-item" role="menuitem" onclick="window.print()">🖨 Print</button>
+        <button class="menu-item" role="menuitem" onclick="window.print()">${esc(t("print"))}</button>
       </div>
     </div>
   </div>`;
 
+    // ---------- Truncation notice ----------
+    const truncated = opts.truncated || null;
+    const truncNotice = !truncated ? "" : `
+  <div class="gate notice" role="status">
+    <b>${esc(t("truncHead", truncated))}</b>
+    <span class="muted">${esc(t("truncBody", truncated))}</span>
+  </div>`;
+
+    // ---------- Expired waivers notice ----------
+    const expiredNotice = !expiredWaivers.length ? "" : `
+  <div class="gate notice" role="status">
+    <b>${esc(t("expiredHead", { n: expiredWaivers.length }))}</b>
+    <span class="muted">${esc(t("expiredBody"))}</span>
+    <ul>${expiredWaivers.map(w => `<li>${esc(t("expiredItem", { waiver: waiverLabel(w), date: w.expires, n: w.rows }))} <span class="muted">${esc(w.justification)} (${esc(w.author)})</span></li>`).join("")}</ul>
+  </div>`;
+
+    // ---------- Gate banner ----------
+    const gate = opts.gate || null;
+    const gateBanner = !gate ? "" : `
+  <div class="gate ${gate.pass ? "pass" : "fail"}" role="status">
+    <b>${esc(t(gate.pass ? "gatePassed" : "gateFailed"))}</b>
+    ${gate.reasons.length ? `<ul>${gate.reasons.map(r => `<li>${esc(r)}</li>`).join("")}</ul>` : `<span class="muted">${esc(t("gateAllMet"))}</span>`}
+  </div>`;
+
     // ---------- Summary ----------
     const summary = `
   <div class="summary">
-    <div class="card"><div class="muted">Total rules</div><div class="big">${totalRules}</div></div>
-    <div class="card"><div class="muted">Total rows</div><div class="big">${totalRows}</div></div>
-    <div class="card"><div class="muted">Rules passed</div><div class="big">${rulesPassed}</div></div>
-    <div class="card"><div class="muted">Rules with warnings</div><div class="big">${rulesWarn}</div></div>
-    <div class="card"><div class="muted">Rules with errors</div><div class="big">${rulesErr}</div></div>
-    <div class="card"><div class="muted">Generated</div><div class="big">${esc(now)}</div></div>
-
-    <div class="card"><span class="pill"><span class="dot ok"></span>Info rows</span> <b>${infoRows}</b></div>
-    <div class="card"><span class="pill"><span class="dot warn"></span>Warning rows</span> <b>${warnRows}</b></div>
-    <div class="card"><span class="pill"><span class="dot err"></span>Error rows</span> <b>${errRows}</b></div>
+    <div class="card"><div class="muted">${esc(t("totalRules"))}</div><div class="big">${totalRules}</div></div>
+    <div class="card"><div class="muted">${esc(t("totalRows"))}</div><div class="big">${totalRows}</div>${
+      dedupe ? `<div class="muted">${esc(t("distinct", { n: new Set(data.map(groupOf)).size }))}</div>` : ""}</div>
+    <div class="card"><div class="muted">${esc(t("rulesPassed"))}</div><div class="big">${rulesPassed}</div></div>
+    <div class="card"><div class="muted">${esc(t("rulesWarn"))}</div><div class="big">${rulesWarn}</div></div>
+    <div class="card"><div class="muted">${esc(t("rulesErr"))}</div><div class="big">${rulesErr}</div></div>
+    <div class="card"><div class="muted">${esc(t("generated"))}</div><div class="big">${esc(now)}</div></div>
+    ${meta.length ? `<div class="card"><div class="muted">${esc(t("run"))}</div><table class="kv">${
+      meta.map(m => `<tr><th>${esc(m.label)}</th><td>${esc(m.value)}</td></tr>`).join("")}</table></div>` : ""}
+
+    ${sev.list.slice().reverse().map(x => `<div class="card"><span class="pill">${dot(x.id)}${esc(t("levelRows", { level: x.label }))}</span> <b>${levelRows[x.id]}</b>${
+      levelDistinct ? ` <span class="muted">${esc(t("levelDistinct", { n: levelDistinct[x.id] }))}</span>` : ""}</div>`).join("\n    ")}
+    ${renderCharts()}
+    ${renderTrend()}
+    ${diff ? `<div class="card"><div class="muted">${esc(t("changesVsBaseline"))}</div>
+      <span class="chg new">${esc(t("badgeNew"))}</span> <b>${diff.counts.new}</b>
+      <span class="chg persisting">${esc(t("badgePersisting"))}</span> <b>${diff.counts.persisting}</b>
+      <span class="chg resolved">${esc(t("badgeResolved"))}</span> <b>${diff.counts.resolved}</b></div>` : ""}
+    ${waived.length ? `<div class="card"><div class="muted">${esc(t("waivedRows"))}</div><div class="big">${waived.length}</div></div>` : ""}
+    ${sources ? sources.map(key => {
+      const rows = bySource[key] || [];
+      return `<div class="card src-card" data-src="${idify(key)}"${staticMode ? "" : ` onclick="goToSource(this)" title="${esc(t("goToSource"))}"`}>
+      <div class="muted">${esc(t("source"))}</div><div class="big">${esc(key)}</div>
+      ${badge(sev.worst(rows).id)} <span class="muted">${esc(t("nRows", { n: rows.length }))}</span>
+      <div>${pills(sev.count(rows), distinctOf(rows))}</div></div>`;
+    }).join("\n    ") : ""}
   </div>`;
 
-    // ---------- Row renderers ----------
-    const renderMainRow = (r, idx, withRuleCol = false) => {
-      const yesNo = r.level === "info"
-        ? `<span class="status-yes">YES</span>`
-        : `<span class="status-no">NO</span>`;
-
-      const cells = [
-        `<td>${idx}</td>`,
-        `<td>${esc(r.source_sheet || "")}</td>`,
-        `<td class="val-cell">${esc(r.value ?? r.message ?? "")}</td>`,
-        `<td>${esc(r.type)}</td>`,
-        `<td>${esc(r.target_sheet || "")}</td>`
-      ];
-
-      if (withRuleCol) cells.push(`<td>${esc(r.ruleId)}</td>`);
-
-      // Always render Status THEN Level explicitly
-      cells.push(
-        `<td>${yesNo}</td>`,
-        `<td class="lvl ${esc(r.level)}">${esc(r.level)}</td>`
-      );
-
-      // Suggestions
-      const suggestions = suggestionMap[r.ruleId] || [];
-      const suggestionsRow = isIssue(r.level)
-        ? `<tr class="why-row" data-level="${esc(r.level)}">
-            <td colspan="${withRuleCol ? 8 : 7}">
-              <div class="why">
-                <div><b>Suggestions</b></div>
-                ${
-                  suggestions.length
-                    ? `<ul>${suggestions.map(s => `<li>${esc(s)}</li>`).join("")}</ul>`
-                    : `<div class="muted">No suggestions provided for this rule.</div>`
-                }
-              </div>
-            </td>
-          </tr>`
-        : "";
-
-      return `
-        <tr data-level="${esc(r.level)}">
-          ${cells.join("")}
-        </tr>
-        ${suggestionsRow}
-      `;
+    // ---------- Sections (tables are empty shells, filled from the row data) ----------
+    // ---------- static rows (script-free mode): what the client's rowHtml() draws, rendered here ----------
+    const STATIC_OCC_EDGE = 3; // first / last occurrences listed per duplicate group
+    const locText = loc => [
+      loc.sheet, loc.row != null ? t("locRow", { v: loc.row }) : "", loc.column ? t("locColumn", { v: loc.column }) : "", loc.cell ? t("locCell", { v: loc.cell }) : ""
+    ].filter(Boolean).join(" · ");
+    const staticCell = (c, r) => {
+      if (c.field === "status") {
+        return `<td data-col="${c.key}">${isIssue(r.level) ? `<span class="status-no">${esc(t("no"))}</span>` : `<span class="status-yes">${esc(t("yes"))}</span>`}</td>`;
+      }
+      const v = String(cellData(fieldOf(r, c.field)));
+      const cls = `fmt-${c.format}` + (c.field === "value" ? " val-cell" : "") + (c.field === "level" ? ` lvl sev-${sevOf(r.level).id}` : "");
+      let inner = esc(v);
+      if (c.format === "code" && v !== "") inner = `<code>${inner}</code>`;
+      if (c.format === "link" && safeUrl(v)) inner = `<a href="${esc(v)}" target="_blank" rel="noopener">${inner}</a>`;
+      return `<td data-col="${c.key}" class="${cls}">${inner}</td>`;
+    };
+    const staticDetail = (r, kind) => {
+      const d = detailOf(r, kind === "waived" ? r.waiver : null);
+      if (!d) return "";
+      let html = "";
+      if (d.waiver) html += `<div class="loc"><b>${esc(t("waived"))}</b> ${esc(d.waiver.label)}${d.waiver.expires ? ` ${esc(t("until", { date: d.waiver.expires }))}` : ""}: ${
+        esc(d.waiver.justification)} <span class="muted">(${esc(d.waiver.author)})</span></div>`;
+      if (d.loc) html += `<div class="loc"><b>${esc(t("location"))}</b> ${esc(locText(d.loc))}</div>`;
+      if (d.rec) {
+        const col = d.loc && d.loc.column;
+        const failing = k => !!col && (k === col || k.startsWith(col + "."));
+        html += `<details class="record"><summary>${esc(t("record", { n: d.rec.length, count: d.rec.length + (d.more ? "+" : "") }))}</summary><table class="kv">` +
+          d.rec.map(([k, v]) => `<tr${failing(k) ? ` class="failing"` : ""}><th>${esc(k)}</th><td>${esc(v)}</td></tr>`).join("") +
+          `</table>${d.more ? `<div class="muted">${esc(t("recordMore"))}</div>` : ""}</details>`;
+      }
+      return html;
+    };
+    // occ: [[row number, row]] of the row's duplicate group, itself first
+    const staticOccurrences = (occ, cols) => {
+      const long = occ.length > 2 * STATIC_OCC_EDGE;
+      const list = long ? occ.slice(0, STATIC_OCC_EDGE).concat([null], occ.slice(-STATIC_OCC_EDGE)) : occ;
+      return `<div><b>${esc(t("occurrences", { n: occ.length }))}</b></div><table class="kv occ-list">` + list.map(o => !o
+        ? `<tr><td colspan="${cols.length + 1}" class="muted">${esc(t("more", { n: occ.length - 2 * STATIC_OCC_EDGE }))}</td></tr>`
+        : `<tr><th>${o[0]}</th>${cols.map(c => `<td>${esc(cellData(fieldOf(o[1], c.field)))}</td>`).join("")}</tr>`
+      ).join("") + `</table>`;
+    };
+    const staticRow = (r, n, cols, kind, occ) => {
+      const change = kind === "resolved" || kind === "waived" ? kind : changeOf(r);
+      const dup = occ && occ.length > 1;
+      const detail = staticDetail(r, kind);
+      let html = `<tr data-level="${esc(r.level)}" data-change="${esc(change)}"><td data-col="idx">${n}${
+        dup ? ` <span class="occ" title="${esc(t("occTitle"))}">×${occ.length}</span>` : ""}</td>${cols.map(c => staticCell(c, r)).join("")}</tr>`;
+      if (isIssue(r.level) || detail.includes(`class="record"`) || dup) {
+        const list = suggestionMap[keyOf(r)] || [];
+        html += `<tr class="why-row" data-level="${esc(r.level)}"><td colspan="${cols.length + 1}"><div class="why">${detail}${dup ? staticOccurrences(occ, cols) : ""}${
+          !isIssue(r.level) ? "" : `<div><b>${esc(t("suggestions"))}</b></div>` + (Array.isArray(list) && list.length
+            ? `<ul>${list.map(s => `<li>${esc(s)}</li>`).join("")}</ul>`
+            : `<div class="muted">${esc(t("noSuggestions"))}</div>`)}</div></td></tr>`;
+      }
+      return html;
+    };
+    // every table row (or the first staticMode.rows), duplicates folded into their first occurrence
+    const staticBody = (rows, cols, kind) => {
+      let shown = rows.map((r, i) => [i + 1, r]);
+      const members = new Map();
+      if (dedupe) {
+        const first = new Map();
+        shown = shown.filter(o => {
+          const g = groupOf(o[1]);
+          if (!first.has(g)) { first.set(g, o); members.set(o, [o]); return true; }
+          members.get(first.get(g)).push(o);
+          return false;
+        });
+      }
+      const cap = staticMode.rows && shown.length > staticMode.rows ? staticMode.rows : 0;
+      const html = (cap ? shown.slice(0, cap) : shown).map(o => staticRow(o[1], o[0], cols, kind, members.get(o) || null)).join("");
+      return { html, note: cap ? t("showingFirst", { shown: cap, total: shown.length }) : "" };
     };
 
-    const renderLevelSection = (title, rows, tableId, withRuleCol=false) => {
+    const renderLevelSection = (title, rows, tableId, withRuleCol=false, kind='') => {
       if (!rows.length) return "";
-      const headCols = withRuleCol
-        ? `<th>#</th><th>Source Sheet</th><th>Value</th><th>Type</th><th>Target Sheet</th><th>Rule</th><th>Status</th><th>Level</th>`
-        : `<th>#</th><th>Source Sheet</th><th>Value</th><th>Type</th><th>Target Sheet</th><th>Status</th><th>Level</th>`;
-
-      const body = rows.map((r,i)=>renderMainRow(r, i+1, withRuleCol)).join("");
-
-      // derive kind from section title
-      const t = title.toLowerCase();
-      const kind = t.startsWith('error') ? 'error' : t.startsWith('warning') ? 'warning' : 'info';
+      const cols = columns.filter(c => withRuleCol || c.field !== "ruleId");
+      if (staticMode) {
+        const body = staticBody(rows, cols, kind);
+        return `
+        <div class="sec" data-sec="${esc(tableId)}" data-kind="${esc(kind)}">
+          <div class="sec-h">${esc(title)}</div>
+          <div class="table-wrap">
+            <table class="data-table" id="${esc(tableId)}">
+              <thead><tr><th data-col="idx">#</th>${cols.map(c => `<th data-col="${c.key}" class="fmt-${c.format}">${esc(c.label)}</th>`).join("")}</tr></thead>
+              <tbody>${body.html}</tbody>
+            </table>${body.note ? `
+            <div class="pager"><span class="muted">${esc(body.note)}</span></div>` : ""}
+          </div>
+        </div>`;
+      }
+      const headCols = `<th data-col="idx" onclick="sortBy(this, event)">#</th>` + cols
+        .map(c => `<th data-col="${c.key}" class="fmt-${c.format}" onclick="sortBy(this, event)" title="${esc(t("sortTitle"))}">${esc(c.label)}</th>`).join("");
 
       return `
-        <div class="sec" data-sec="${esc(tableId)}" data-kind="${kind}">
+        <div class="sec" data-sec="${esc(tableId)}" data-kind="${esc(kind)}">
           <div class="sec-h">${esc(title)}</div>
           <div class="table-wrap">
-            <table class="data-table" id="${esc(tableId)}" data-page="1" data-rows="10">
+            <table class="data-table" id="${esc(tableId)}" data-page="1" data-rows="10"${withRuleCol ? ` data-rule-col="1"` : ""}>
               <thead><tr>${headCols}</tr></thead>
-              <tbody>${body}</tbody>
+              <tbody></tbody>
             </table>
             <div class="pager">
-              <button class="btn" onclick="chgPage(this,-1)">◀ Prev</button>
+              <button class="btn" onclick="chgPage(this,-1)">${esc(t("prev"))}</button>
               <span class="spacer"></span>
-              <span class="muted">Rows per page <span class="rpp">10</span>/<span class="total">0</span></span>
+              <span class="muted">${esc(t("rowsPerPage"))} <span class="rpp">10</span>/<span class="total">0</span></span>
               <select class="select" onchange="setRpp(this)">
                 <option selected>10</option><option>25</option><option>50</option><option>100</option>
               </select>
               <span class="spacer"></span>
-              <button class="btn" onclick="chgPage(this,1)">Next ▶</button>
+              <button class="btn" onclick="chgPage(this,1)">${esc(t("next"))}</button>
             </div>
           </div>
         </div>`;
     };
 
-    // ---------- Sections: by rule ----------
-    const renderRule = block => {
-      const infos = block.rows.filter(r=>r.level==='info');
-      const warns = block.rows.filter(r=>r.level==='warning');
-      const errs  = block.rows.filter(r=>r.level==='error');
+    // one sub-table per severity, most severe first
+    const renderLevelSections = (rows, prefix, withRuleCol=false) => sev.list.map(x =>
+      renderLevelSection(x.title, rows.filter(r => r.level === x.id), `${prefix}_${x.id}`, withRuleCol, x.id)
+    ).join("");
 
-      const badgeClass = block.status === "error" ? "err" : block.status === "warning" ? "warn" : "ok";
+    // ---------- Sections: by rule ----------
+    // sections inside a source carry data-source and source-scoped ids
+    const srcAttr = srcKey => srcKey == null ? "" : ` data-source="${esc(srcKey)}"`;
+    const srcId = srcKey => srcKey == null ? "" : `src_${idify(srcKey)}__`;
 
+    const renderRule = (block, srcKey) => {
       return `
-        <section class="rule"
+        <section class="rule"${srcAttr(srcKey)}
           data-rule="${esc(block.ruleId)}"
           data-status="${esc(block.status)}"
           data-issues="${block.issues}"
-          data-count-info="${block.counts.info||0}"
-          data-count-warning="${block.counts.warning||0}"
-          data-count-error="${block.counts.error||0}"
-          id="${block.anchor}" data-index="0">
+          ${countAttrs(block.counts)}
+          id="${srcId(srcKey)}${block.anchor}" data-index="0">
           <div class="rule-hd">
-            <div class="rule-title">Rule: ${esc(block.ruleId)}</div>
-            <span class="status-badge ${badgeClass}">${block.status.toUpperCase()}</span>
-            <span class="pill"><span class="dot err"></span>${block.counts.error||0}</span>
-            <span class="pill"><span class="dot warn"></span>${block.counts.warning||0}</span>
-            <span class="pill"><span class="dot ok"></span>${block.counts.info||0}</span>
+            <div class="rule-title">${esc(t("rule"))}: ${esc(block.ruleId)}</div>
+            ${renderSparkline(block.ruleId)}
+            ${badge(block.status)}
+            ${pills(block.counts, distinctOf(block.rows))}
           </div>
-          <div class="rule-desc">Description: ${esc(block.description)} | <b>Type:</b> ${esc(block.type)}</div>
+          <div class="rule-desc">${esc(t("description"))}: ${esc(block.description)} | <b>${esc(t("type"))}:</b> ${esc(block.type)}${
+            block.owner ? ` | <b>${esc(t("owner"))}:</b> ${esc(block.owner)}` : ""}${
+            block.docs ? ` | <a class="doc-link" href="${esc(block.docs)}" target="_blank" rel="noopener">${esc(t("documentation"))}</a>` : ""}</div>
           <details class="rule-body" open>
-            ${renderLevelSection('Errors',   errs,  `tbl_${idify(block.ruleId)}_err`)}
-            ${renderLevelSection('Warnings', warns, `tbl_${idify(block.ruleId)}_warn`)}
-            ${renderLevelSection('Info',     infos, `tbl_${idify(block.ruleId)}_info`)}
+            ${renderLevelSections(block.rows, `tbl_${srcId(srcKey)}rule_${idify(block.ruleId)}`)}
           </details>
         </section>`;
     };
-    const sectionsByRule = ruleBlocks.map(renderRule).join("");
 
-    // ---------- Sections: by sheet ----------
-    const renderSheet = (name, bundle) => {
-      const rows = bundle.rows;
-      const infos = rows.filter(r=>r.level==='info');
-      const warns = rows.filter(r=>r.level==='warning');
-      const errs  = rows.filter(r=>r.level==='error');
+    // ---------- Sections: by sheet / type / level ----------
+    const renderGroup = (group, label, name, rows, display = name, srcKey) => {
+      const counts = sev.count(rows);
+      const status = sev.worst(rows).id;
+      const key = `${srcId(srcKey)}${group}_${idify(name)}`;
 
-      const badgeClass = bundle.status === "error" ? "err" : bundle.status === "warning" ? "warn" : "ok";
       return `
-        <section class="rule" data-sheet="${esc(name)}" data-status="${esc(bundle.status)}" data-issues="${(bundle.counts.error||0)+(bundle.counts.warning||0)}" id="sheet_${idify(name)}">
+        <section class="rule"${srcAttr(srcKey)}
+          data-${group}="${esc(name)}"
+          data-status="${esc(status)}"
+          data-issues="${rows.filter(r => isIssue(r.level)).length}"
+          ${countAttrs(counts)}
+          id="${key}" data-index="0">
           <div class="rule-hd">
-            <div class="rule-title">Sheet: ${esc(name)}</div>
-            <span class="status-badge ${badgeClass}">${bundle.status.toUpperCase()}</span>
-            <span class="pill"><span class="dot err"></span>${bundle.counts.error||0}</span>
-            <span class="pill"><span class="dot warn"></span>${bundle.counts.warning||0}</span>
-            <span class="pill"><span class="dot ok"></span>${bundle.counts.info||0}</span>
+            <div class="rule-title">${esc(label)}: ${esc(display)}</div>
+            ${badge(status)}
+            ${pills(counts, distinctOf(rows))}
           </div>
           <details class="rule-body" open>
-            ${renderLevelSection('Errors',   errs,  `tbl_${idify(name)}_err`,  true)}
-            ${renderLevelSection('Warnings', warns, `tbl_${idify(name)}_warn`, true)}
-            ${renderLevelSection('Info',     infos, `tbl_${idify(name)}_info`, true)}
+            ${renderLevelSections(rows, `tbl_${key}`, true)}
+          </details>
+        </section>`;
+    };
+    const GROUP_RENDER = {
+      rule:  (rows, srcKey) => (srcKey == null ? ruleBlocks : buildRuleBlocks(rows, allRules, sev)).map(b => renderRule(b, srcKey)).join(""),
+      sheet: (rows, srcKey) => Object.entries(bySheet(rows)).map(([n,list]) => renderGroup("sheet", t("sheet"), n, list, n, srcKey)).join(""),
+      type:  (rows, srcKey) => Object.entries(byType(rows)).map(([n,list]) => renderGroup("type", t("type"), n, list, n, srcKey)).join(""),
+      level: (rows, srcKey) => Object.entries(byLevel(rows)).map(([n,list]) => renderGroup("level", t("level"), n, list, sevOf(n).label, srcKey)).join("")
+    };
+
+    // ---------- Sections: per source (aggregated runs), each grouping nested inside ----------
+    const renderSections = group => !sources ? GROUP_RENDER[group](data) : sources.map(key => {
+      const rows = bySource[key] || [];
+      return `
+        <div class="source-group" id="${group}_src_${idify(key)}" data-source="${esc(key)}">
+          <div class="rule-hd source-hd">
+            <div class="rule-title">${esc(t("source"))}: ${esc(key)}</div>
+            ${badge(sev.worst(rows).id)}
+            ${pills(sev.count(rows), distinctOf(rows))}
+          </div>
+          ${GROUP_RENDER[group](rows, key)}
+        </div>`;
+    }).join("");
+
+    // ---------- Section: resolved since baseline (shown in every grouping) ----------
+    const renderResolved = group => {
+      if (!diff || !diff.resolved.length) return "";
+      return `
+        <section class="rule resolved" data-bucket="resolved" data-status="" data-issues="0" id="resolved_${group}" data-index="0">
+          <div class="rule-hd">
+            <div class="rule-title">${esc(t("resolvedHead"))}</div>
+            <span class="pill"><span class="chg resolved">${esc(t("badgeResolved"))}</span>${diff.resolved.length}</span>
+          </div>
+          <div class="rule-desc">${esc(t("resolvedDesc"))}</div>
+          <details class="rule-body" open>
+            ${renderLevelSection(t("resolvedTable"), diff.resolved, `tbl_resolved_${group}`, true, 'resolved')}
+          </details>
+        </section>`;
+    };
+
+    // ---------- Section: waived (accepted known issues, collapsed; shown in every grouping) ----------
+    const renderWaived = group => {
+      if (!waived.length) return "";
+      return `
+        <section class="rule waived" data-bucket="waived" data-status="" data-issues="0" id="waived_${group}" data-index="0">
+          <div class="rule-hd">
+            <div class="rule-title">${esc(t("waivedHead"))}</div>
+            <span class="pill"><span class="chg waived">${esc(t("badgeWaived"))}</span>${waived.length}</span>
+          </div>
+          <div class="rule-desc">${esc(t("waivedDesc"))}</div>
+          <details class="rule-body"${staticMode ? " open" : ""}>
+            ${renderLevelSection(t("waivedHead"), waived, `tbl_waived_${group}`, true, 'waived')}
           </details>
         </section>`;
     };
-    const sectionsBySheet = Object.entries(bySheet).map(([n,b]) => renderSheet(n,b)).join("");
 
     // ---------- JS (filters, pagination, exports, theme) ----------
     const script = `
   <script>
     (function(){
       // state
-      let chipState = { info:true, warning:true, error:true };
-      let grouping = 'rule'; // 'rule' | 'sheet'
+      const LEVELS = ${JSON.stringify(sev.list.map(x => x.id))};
+      const ISSUE_LEVELS = ${JSON.stringify(sev.list.filter(x => x.outcome !== "pass").map(x => x.id))};
+      // table columns: [{ key, field, label, format, at }] (at: index of a stored extra value)
+      const COLUMNS = ${scriptJson(columns.map(c => ({ ...c, at: extraCols.indexOf(c) })))};
+      // UI strings (see translator()): tr(key, { n, … })
+      const STR = ${scriptJson(Object.fromEntries(CLIENT_STRINGS.map(k => [k, strings[k]])))};
+      const PLURAL = new Intl.PluralRules(${scriptJson(lang)});
+      const tr = (key, vars) => {
+        vars = vars || {};
+        let s = STR[key] ?? key;
+        if (s && typeof s === 'object') s = s[PLURAL.select(+vars.n || 0)] ?? s.other ?? '';
+        return String(s).replace(/\\{(\\w+)\\}/g, (m, k) => vars[k] != null ? String(vars[k]) : m);
+      };
+      let chipState = Object.fromEntries(LEVELS.map(l => [l, true]));
+      let grouping = 'rule'; // 'rule' | 'sheet' | 'type' | 'level'
+      const GROUPINGS = ['rule', 'sheet', 'type', 'level'];
 
       // On load
       window.addEventListener('DOMContentLoaded', () => {
         indexRuleCards();
-        paginateAll();
-        applyFilters();
+        applyPrefs();
+        restoreState(); // view from the link, then filters
+
         const header = document.getElementById('headerDock');
         if (!header) return;
 
@@ -481,65 +1859,357 @@ module.exports = function(RED){
 
       // Index cards for next/prev
       function indexRuleCards(){
-        document.querySelectorAll('#sections-rule section.rule').forEach((el, i)=> el.dataset.index = String(i));
-        document.querySelectorAll('#sections-sheet section.rule').forEach((el, i)=> el.dataset.index = String(i));
+        GROUPINGS.forEach(g=>{
+          document.querySelectorAll('#sections-'+g+' section.rule').forEach((el, i)=> el.dataset.index = String(i));
+        });
       }
 
-      // ------------ Pagination (filter-aware) ------------
-      function paginateTable(tbl){
-        const rpp = parseInt(tbl.getAttribute('data-rows') || '10', 10);
-        let page  = parseInt(tbl.getAttribute('data-page') || '1', 10);
+      // ------------ Row data (embedded once, rendered per page) ------------
+      const DATA = JSON.parse(document.getElementById('reportData').textContent);
+      // columns backed by fields every row carries
+      const BUILTIN = {
+        ruleId: r => r.rule, level: r => r.level, status: r => r.issue ? tr('no') : tr('yes'),
+        type: r => r.type, source_sheet: r => r.source, target_sheet: r => r.target
+      };
+      const ROWS = DATA.rows.map((a, uid) => {
+        const level = DATA.dict[a[1]];
+        const r = {
+          uid, rule: DATA.dict[a[0]], level, type: DATA.dict[a[2]],
+          source: DATA.dict[a[3]], target: DATA.dict[a[4]], change: DATA.dict[a[5]], origin: DATA.dict[a[6]] || '',
+          issue: ISSUE_LEVELS.includes(level)
+        };
+        r.detail = a[7] || null;
+        r.cells = COLUMNS.map(c => c.at >= 0 ? a[8 + c.at] : BUILTIN[c.field](r));
+        return r;
+      });
+      const SUGGESTIONS = DATA.suggestions || {};
+      const sevClass = l => LEVELS.includes(l) ? l : LEVELS[LEVELS.length - 1];
+      const escHtml = s => String(s ?? '').replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+      const rxOf = term => new RegExp(term.replace(/[-\\/^$*+?.()|[\\]{}]/g, '\\\\$&'), 'gi');
+
+      // (source, section key) -> row uids, built once per grouping
+      // (resolved / waived rows only in their own sections, see BUCKETS)
+      const SHEETLESS = '(no sheet)';
+      const KEYS_OF = {
+        rule:  r => [r.rule],
+        sheet: r => {
+          const s = [r.source, r.target].filter(x => x && x !== '(engine)');
+          return s.length ? Array.from(new Set(s)) : [SHEETLESS];
+        },
+        type:  r => [r.type || '(no type)'],
+        level: r => [r.level]
+      };
+      const groupIndex = {};
+      const BUCKETS = {
+        resolved: ROWS.filter(r => r.change === 'resolved').map(r => r.uid),
+        waived:   ROWS.filter(r => r.change === 'waived').map(r => r.uid)
+      };
+      function rowsOfSection(sec){
+        if (sec.dataset.bucket) return BUCKETS[sec.dataset.bucket];
+        if (!groupIndex[grouping]){
+          const idx = groupIndex[grouping] = new Map();
+          ROWS.forEach(r => {
+            if (BUCKETS[r.change]) return;
+            KEYS_OF[grouping](r).forEach(k => {
+              k = r.origin + '\\u0001' + k;
+              if (!idx.has(k)) idx.set(k, []);
+              idx.get(k).push(r.uid);
+            });
+          });
+        }
+        return groupIndex[grouping].get((sec.dataset.source || '') + '\\u0001' + sec.dataset[grouping]) || [];
+      }
 
-        // Main (non-why) rows
-        const allRows = Array.from(tbl.querySelectorAll('tbody tr'))
-          .filter(tr => !tr.classList.contains('why-row'));
+      // per table: all its row uids, and positions (into that list) passing the filters
+      const tableRows = new Map();
+      const tableView = new Map();
+      function listOf(tbl){
+        if (!tableRows.has(tbl)){
+          const secBlock = tbl.closest('.sec');
+          const kind = secBlock.getAttribute('data-kind');
+          const all = rowsOfSection(tbl.closest('section.rule'));
+          tableRows.set(tbl, BUCKETS[kind] ? all : all.filter(uid => ROWS[uid].level === kind));
+        }
+        return tableRows.get(tbl);
+      }
 
-        // Rows that MATCH FILTERS (dataset.pass set by applyFilters)
-        const filtered = allRows.filter(tr => tr.dataset.pass !== '0');
+      // ------------ Duplicate groups (one table row per group: its first occurrence in view order) ------------
+      const GROUPS = DATA.groups || null; // row uid -> duplicate group, only when grouping duplicates
+      const tableShown = new Map();       // table -> representative positions
+      const tableMembers = new Map();     // table -> Map(representative position -> member positions)
+      const EXPANDED = new Set();         // representative uids listing every occurrence
+      const OCC_EDGE = 3;                 // first / last occurrences listed while collapsed
+      function groupView(tbl){
+        if (!GROUPS) return;
+        const list = listOf(tbl);
+        const first = new Map(), members = new Map(), shown = [];
+        (tableView.get(tbl) || []).forEach(p => {
+          const g = GROUPS[list[p]];
+          if (!first.has(g)) { first.set(g, p); members.set(p, []); shown.push(p); }
+          members.get(first.get(g)).push(p);
+        });
+        tableShown.set(tbl, shown);
+        tableMembers.set(tbl, members);
+      }
+      // positions the table pages through
+      const shownOf = tbl => (GROUPS ? tableShown : tableView).get(tbl) || [];
+
+      // occ: [[row number, uid]] of the group, representative first
+      function occurrencesHtml(r, occ, cols){
+        const long = occ.length > 2 * OCC_EDGE;
+        const all = !long || EXPANDED.has(r.uid);
+        const list = all ? occ : occ.slice(0, OCC_EDGE).concat([null], occ.slice(-OCC_EDGE));
+        return '<div><b>' + escHtml(tr('occurrences', { n: occ.length })) + '</b>' +
+          (long ? ' <button class="btn occ-btn" data-uid="' + r.uid + '" onclick="toggleOccurrences(this)">' + escHtml(tr(all ? 'showFirstLast' : 'showAll')) + '</button>' : '') +
+          '</div><table class="kv occ-list">' + list.map(o => !o
+            ? '<tr><td colspan="' + (cols.length + 1) + '" class="muted">' + escHtml(tr('more', { n: occ.length - 2 * OCC_EDGE })) + '</td></tr>'
+            : '<tr><th>' + o[0] + '</th>' + cols.map(c => '<td>' + mark(ROWS[o[1]].cells[COLUMNS.indexOf(c)]) + '</td>').join('') + '</tr>'
+          ).join('') + '</table>';
+      }
+      window.toggleOccurrences = function(btn){
+        const uid = +btn.dataset.uid;
+        if (EXPANDED.has(uid)) EXPANDED.delete(uid); else EXPANDED.add(uid);
+        paginateTable(btn.closest('table.data-table'));
+      };
 
-        const total = filtered.length;
-        const pages = Math.max(1, Math.ceil(total / rpp));
-        if (page > pages) page = pages;
-        if (page < 1) page = 1;
-        tbl.setAttribute('data-page', String(page));
+      // ------------ Search index ------------
+      // one lower-cased haystack per row, built on first search; a query that
+      // extends the previous one only re-tests the rows that matched before
+      let HAY = null;
+      const hayOf = uid => {
+        if (!HAY) HAY = ROWS.map(r => {
+          const d = r.detail || {};
+          return r.cells.concat(r.rule, r.origin, d.loc ? locText(d.loc) : '', (d.rec || []).map(kv => kv[1])).join('\\n').toLowerCase();
+        });
+        return HAY[uid];
+      };
+      let last = null; // { q, change, match }
+      function matchesFor(q, change){
+        const prev = last && last.change === change && q.startsWith(last.q) ? last.match : null;
+        const match = new Uint8Array(ROWS.length);
+        for (let i = 0; i < ROWS.length; i++){
+          if (prev && !prev[i]) continue;
+          if (change && ROWS[i].change !== change) continue;
+          if (q && !hayOf(i).includes(q)) continue;
+          match[i] = 1;
+        }
+        last = { q, change, match };
+        return match;
+      }
 
-        const start = (page-1) * rpp;
-        const end   = start + rpp;
+      // ------------ Row rendering ------------
+      let markRx = null;
+      function mark(text){
+        const t = String(text ?? '');
+        if (!markRx) return escHtml(t);
+        let out = '', at = 0;
+        t.replace(markRx, (m, idx) => {
+          out += escHtml(t.slice(at, idx)) + '<mark class="hl">' + escHtml(m) + '</mark>';
+          at = idx + m.length;
+          return m;
+        });
+        return out + escHtml(t.slice(at));
+      }
+      // table columns shown in a table (the rule column only outside the rule grouping)
+      const colsOf = tbl => COLUMNS.filter(c => tbl.hasAttribute('data-rule-col') || c.field !== 'ruleId');
+      function cellHtml(c, v, r){
+        if (c.field === 'status') {
+          return '<td data-col="' + c.key + '">' + (r.issue ? '<span class="status-no">' + escHtml(tr('no')) + '</span>' : '<span class="status-yes">' + escHtml(tr('yes')) + '</span>') + '</td>';
+        }
+        const cls = 'fmt-' + c.format + (c.field === 'value' ? ' val-cell' : '') + (c.field === 'level' ? ' lvl sev-' + sevClass(r.level) : '');
+        let inner = mark(v);
+        if (c.format === 'code' && v !== '') inner = '<code>' + inner + '</code>';
+        if (c.format === 'link' && /^https?:\\/\\//i.test(String(v))) inner = '<a href="' + escHtml(v) + '" target="_blank" rel="noopener">' + inner + '</a>';
+        return '<td data-col="' + c.key + '" class="' + cls + '">' + inner + '</td>';
+      }
+      // ------------ Row detail (location + record snapshot) ------------
+      const OPEN = new Set(); // uids whose record panel is expanded, kept across pages / filters
+      window.keepOpen = function(el){
+        const uid = +el.dataset.uid;
+        if (el.open) OPEN.add(uid); else OPEN.delete(uid);
+      };
+      const locText = loc => [
+        loc.sheet, loc.row != null ? tr('locRow', { v: loc.row }) : '', loc.column ? tr('locColumn', { v: loc.column }) : '', loc.cell ? tr('locCell', { v: loc.cell }) : ''
+      ].filter(Boolean).join(' · ');
+      // the failing field and anything nested under it
+      const isFailing = (key, col) => !!col && (key === col || key.startsWith(col + '.'));
+      function detailHtml(r){
+        const d = r.detail;
+        let html = '';
+        if (d.waiver) html += '<div class="loc"><b>' + escHtml(tr('waived')) + '</b> ' + escHtml(d.waiver.label) + (d.waiver.expires ? ' ' + escHtml(tr('until', { date: d.waiver.expires })) : '') +
+          ': ' + escHtml(d.waiver.justification) + ' <span class="muted">(' + escHtml(d.waiver.author) + ')</span></div>';
+        if (d.loc) html += '<div class="loc"><b>' + escHtml(tr('location')) + '</b> ' + mark(locText(d.loc)) + '</div>';
+        if (d.rec){
+          const col = d.loc && d.loc.column;
+          html += '<details class="record" data-uid="' + r.uid + '" ontoggle="keepOpen(this)"' + (OPEN.has(r.uid) ? ' open' : '') + '>' +
+            '<summary>' + escHtml(tr('record', { n: d.rec.length, count: d.rec.length + (d.more ? '+' : '') })) + '</summary><table class="kv">' +
+            d.rec.map(([k, v]) => '<tr' + (isFailing(k, col) ? ' class="failing"' : '') + '><th>' + escHtml(k) + '</th><td>' + mark(v) + '</td></tr>').join('') +
+            '</table>' + (d.more ? '<div class="muted">' + escHtml(tr('recordMore')) + '</div>' : '') + '</details>';
+        }
+        return html;
+      }
+      // occ: the row's duplicate group (see occurrencesHtml), or null
+      function rowHtml(uid, n, cols, occ){
+        const r = ROWS[uid];
+        const dup = occ && occ.length > 1;
+        let html = '<tr data-level="' + escHtml(r.level) + '" data-issue="' + (r.issue ? 1 : 0) + '" data-uid="' + uid +
+          '" data-rule="' + escHtml(r.rule) + '" data-change="' + escHtml(r.change) + '">' +
+          '<td data-col="idx">' + mark(n) + (dup ? ' <span class="occ" title="' + escHtml(tr('occTitle')) + '">×' + occ.length + '</span>' : '') + '</td>' +
+          cols.map(c => cellHtml(c, r.cells[COLUMNS.indexOf(c)], r)).join('') + '</tr>';
+        // passing rows only get a panel for a record snapshot or duplicates
+        if (r.issue || (r.detail && r.detail.rec) || dup){
+          const list = SUGGESTIONS[r.rule] || [];
+          html += '<tr class="why-row" data-level="' + escHtml(r.level) + '"><td colspan="' + (cols.length + 1) + '">' +
+            '<div class="why">' + (r.detail ? detailHtml(r) : '') + (dup ? occurrencesHtml(r, occ, cols) : '') +
+            (!r.issue ? '' : '<div><b>' + escHtml(tr('suggestions')) + '</b></div>' +
+              (list.length
+                ? '<ul>' + list.map(s => '<li>' + escHtml(s) + '</li>').join('') + '</ul>'
+                : '<div class="muted">' + escHtml(tr('noSuggestions')) + '</div>')) +
+            '</div></td></tr>';
+        }
+        return html;
+      }
 
-        // Hide all main rows first
-        allRows.forEach(tr => { tr.style.display = 'none'; });
+      // ------------ Sorting (header click: ascending → descending → off; shift-click adds a key) ------------
+      const sortState = new Map(); // table -> [{ col, dir }], primary key first
+      const COLLATOR = new Intl.Collator(undefined, { numeric:true, sensitivity:'base' });
+      function comparerOf(tbl, { col, dir }){
+        if (col === 'idx') return (a, b) => (a - b) * dir;
+        const ci = COLUMNS.findIndex(c => c.key === col);
+        const list = listOf(tbl);
+        const val = p => ROWS[list[p]].cells[ci];
+        if (COLUMNS[ci].format === 'number') {
+          // blanks / non-numbers last in both directions
+          const num = p => { const v = val(p); return v === '' ? NaN : +v; };
+          return (a, b) => {
+            const x = num(a), y = num(b);
+            return isNaN(x) ? (isNaN(y) ? 0 : 1) : isNaN(y) ? -1 : (x - y) * dir;
+          };
+        }
+        return (a, b) => COLLATOR.compare(String(val(a)), String(val(b))) * dir;
+      }
+      function sortView(tbl){
+        const keys = sortState.get(tbl);
+        const view = tableView.get(tbl);
+        if (!view) return;
+        if (!keys || !keys.length) { view.sort((a, b) => a - b); return; }
+        const cmps = keys.map(k => comparerOf(tbl, k));
+        view.sort((a, b) => {
+          for (const cmp of cmps) { const d = cmp(a, b); if (d) return d; }
+          return a - b;
+        });
+      }
+      window.sortBy = function(th, e){
+        const tbl = th.closest('table');
+        const col = th.dataset.col;
+        let keys = (sortState.get(tbl) || []).slice();
+        const at = keys.findIndex(k => k.col === col);
+        if (e && e.shiftKey) {
+          // secondary keys: add, flip, then drop
+          if (at < 0) keys.push({ col, dir: 1 });
+          else if (keys[at].dir === 1) keys[at] = { col, dir: -1 };
+          else keys.splice(at, 1);
+        } else {
+          const dir = at !== 0 ? 1 : keys[0].dir === 1 ? -1 : 0;
+          keys = dir ? [{ col, dir }] : [];
+        }
+        sortState.set(tbl, keys);
+        tbl.querySelectorAll('thead th[data-col]').forEach(h => {
+          const i = keys.findIndex(k => k.col === h.dataset.col);
+          if (i < 0) { h.removeAttribute('aria-sort'); h.removeAttribute('data-sort-n'); return; }
+          h.setAttribute('aria-sort', keys[i].dir === 1 ? 'ascending' : 'descending');
+          if (keys.length > 1) h.setAttribute('data-sort-n', String(i + 1)); else h.removeAttribute('data-sort-n');
+        });
+        sortView(tbl);
+        groupView(tbl);
+        paginateTable(tbl);
+      };
 
-        // Show only current page among filtered
-        let shown = 0;
-        filtered.forEach((tr, i) => {
-          const show = (i >= start && i < end);
-          if (show) { tr.style.display = ''; shown++; }
+      // ------------ Column filters (one row under each table header) ------------
+      // few distinct values → dropdown, otherwise a "contains" box; they narrow the
+      // table's view together with the search, chips and section filters
+      const DISTINCT_MAX = 30;
+      const colFilters = new Map(); // table -> { column key: value }
+      function filterRowOf(tbl){
+        let row = tbl.tHead.querySelector('tr.col-filters');
+        if (row) return row;
+        const list = listOf(tbl);
+        row = document.createElement('tr');
+        row.className = 'col-filters';
+        row.innerHTML = '<th></th>' + colsOf(tbl).map(c => {
+          const ci = COLUMNS.indexOf(c);
+          const values = new Set();
+          for (const uid of list) { values.add(String(ROWS[uid].cells[ci])); if (values.size > DISTINCT_MAX) break; }
+          const label = escHtml(tr('filterCol', { label: c.label }));
+          if (values.size <= DISTINCT_MAX) {
+            return '<th><select class="select col-filter" data-col="' + c.key + '" aria-label="' + label + '" onchange="setColFilter(this)">' +
+              '<option value="">' + escHtml(tr('filterAll')) + '</option>' +
+              Array.from(values).sort(COLLATOR.compare).map(v => '<option value="=' + escHtml(v) + '">' + escHtml(v === '' ? tr('blank') : v) + '</option>').join('') +
+              '</select></th>';
+          }
+          return '<th><input class="input col-filter" data-col="' + c.key + '" aria-label="' + label + '" placeholder="' + escHtml(tr('contains')) + '" oninput="setColFilter(this)"></th>';
+        }).join('');
+        tbl.tHead.appendChild(row);
+        return row;
+      }
+      // value "=x": exact (dropdown); anything else: case-insensitive substring
+      function colPredicate(tbl){
+        const f = colFilters.get(tbl);
+        if (!f) return null;
+        const tests = Object.entries(f).filter(([, v]) => v).map(([key, v]) => {
+          const ci = COLUMNS.findIndex(c => c.key === key);
+          if (v[0] === '=') { const want = v.slice(1); return uid => String(ROWS[uid].cells[ci]) === want; }
+          const needle = v.toLowerCase();
+          return uid => String(ROWS[uid].cells[ci]).toLowerCase().includes(needle);
         });
+        return tests.length ? uid => tests.every(t => t(uid)) : null;
+      }
+      let colFilterTimer = null;
+      window.setColFilter = function(el){
+        const tbl = el.closest('table.data-table');
+        colFilters.set(tbl, { ...(colFilters.get(tbl) || {}), [el.dataset.col]: el.value.trim() });
+        tbl.setAttribute('data-page', '1');
+        clearTimeout(colFilterTimer);
+        colFilterTimer = setTimeout(applyFilters, el.tagName === 'INPUT' ? 200 : 0);
+      };
 
-        // Sync “why” rows to their preceding main row + also to filter pass
-        const bodyRows = Array.from(tbl.querySelectorAll('tbody tr'));
-        for (let i = 0; i < bodyRows.length; i++){
-          const row = bodyRows[i];
-          if (!row.classList.contains('why-row')) continue;
-          const prev = bodyRows[i-1];
-          const prevPass = prev && prev.dataset.pass !== '0';
-          row.style.display = (prev && prev.style.display === '' && prevPass) ? '' : 'none';
-        }
+      // ------------ Pagination (filter-aware) ------------
+      // positions (into listOf(tbl)) on the table's current page
+      function pageOf(tbl){
+        const rpp = parseInt(tbl.getAttribute('data-rows') || '10', 10);
+        let page  = parseInt(tbl.getAttribute('data-page') || '1', 10);
+        const view = shownOf(tbl);
+        const pages = Math.max(1, Math.ceil(view.length / rpp));
+        if (page > pages) page = pages;
+        if (page < 1) page = 1;
+        tbl.setAttribute('data-page', String(page));
+        return view.slice((page-1) * rpp, page * rpp);
+      }
+      function paginateTable(tbl){
+        const rpp = parseInt(tbl.getAttribute('data-rows') || '10', 10);
+        const list = listOf(tbl);
+        const page = pageOf(tbl);
+        const cols = colsOf(tbl);
+
+        // only the current page is in the DOM
+        filterRowOf(tbl);
+        const members = tableMembers.get(tbl);
+        tbl.tBodies[0].innerHTML = page.length
+          ? page.map(p => rowHtml(list[p], p + 1, cols, GROUPS ? members.get(p).map(q => [q + 1, list[q]]) : null)).join('')
+          : '<tr class="empty-row"><td colspan="' + (cols.length + 1) + '" class="muted">' + escHtml(tr('noMatch')) + '</td></tr>';
 
         // Update pager label (shown/total)
         const pager   = tbl.closest('.table-wrap')?.querySelector('.pager');
         const rppEl   = pager?.querySelector('.rpp');
         const totalEl = pager?.querySelector('.total');
-        if (rppEl)   rppEl.textContent   = String(shown);
-        if (totalEl) totalEl.textContent = String(total);
+        if (rppEl)   rppEl.textContent   = String(page.length);
+        if (totalEl) totalEl.textContent = String(shownOf(tbl).length);
 
         // Keep dropdown in sync
         const sel = pager?.querySelector('select.select');
         if (sel && sel.value !== String(rpp)) sel.value = String(rpp);
       }
-      function paginateAll(){
-        document.querySelectorAll('table.data-table').forEach(paginateTable);
-      }
+      const clearTable = tbl => { if (tbl.tBodies[0].firstChild) tbl.tBodies[0].innerHTML = ''; };
 
       window.chgPage = function(el, dir){
         const tbl = el.closest('.table-wrap').querySelector('table.data-table');
@@ -547,6 +2217,7 @@ module.exports = function(RED){
         page = page + dir;
         tbl.setAttribute('data-page', String(page));
         paginateTable(tbl);
+        writeHash();
       };
 
       window.setRpp = function(sel){
@@ -554,16 +2225,19 @@ module.exports = function(RED){
         tbl.setAttribute('data-rows', sel.value);
         tbl.setAttribute('data-page', '1');
         paginateTable(tbl);
+        savePref('rpp', sel.value);
+        writeHash();
       };
 
       // ------------ Filtering + search highlight ------------
       function clearHighlights(scope){
         scope.querySelectorAll('mark.hl').forEach(m => m.replaceWith(document.createTextNode(m.textContent)));
       }
+      // section headers only; table cells are marked while rendering
       function highlight(scope, term){
         if (!term) return;
-        const rx = new RegExp(term.replace(/[-\\/^$*+?.()|[\\]{}]/g, '\\\\$&'), 'gi');
-        scope.querySelectorAll('.val-cell, .rule-title, .rule-desc, td').forEach(node=>{
+        const rx = rxOf(term);
+        scope.querySelectorAll('.rule-title, .rule-desc').forEach(node=>{
           if (!node.childNodes || !node.childNodes.length) return;
           node.childNodes.forEach(n=>{
             if (n.nodeType===3){
@@ -585,76 +2259,83 @@ module.exports = function(RED){
           });
         });
       }
-      
+
+      // typing waits for a short pause before filtering
+      let searchTimer = null;
+      window.scheduleFilters = function(){
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(applyFilters, 200);
+      };
+
       window.applyFilters = function(){
+        clearTimeout(searchTimer);
         const q = (document.getElementById('searchBox').value || '').trim().toLowerCase();
-        const ruleFilter = document.getElementById('levelSelect').value; // '', 'info', 'warning', 'error'
+        const ruleFilter = document.getElementById('levelSelect').value; // '' or a severity id
         const container = document.getElementById('sections-'+grouping);
 
         clearHighlights(container);
+        markRx = q ? rxOf(q) : null;
 
-        // Row-level predicate: search only (chips handled at table level)
-        const rowPass = (tr) => {
-          const text = tr.innerText.toLowerCase();
-          return !q || text.includes(q);
-        };
+        const changeFilter = document.getElementById('changeSelect')?.value || '';
+
+        // Row-level predicate: search + baseline change (chips handled at table level)
+        const match = matchesFor(q, changeFilter);
+
+        // distinct matching rows per level (a row can sit in two sheet sections)
+        const matched = Object.fromEntries(LEVELS.map(l => [l, new Set()]));
 
         container.querySelectorAll('section.rule').forEach(sec=>{
-          // --- RULE filter: only in 'rule' grouping ---
+          // --- SECTION status filter (same in every grouping) ---
           let passRule = true;
-          if (grouping === 'rule' && ruleFilter) {
-            const countInfo    = +(sec.dataset.countInfo    || 0);
-            const countWarning = +(sec.dataset.countWarning || 0);
-            const countError   = +(sec.dataset.countError   || 0);
-            passRule =
-              (ruleFilter === 'info'    && countInfo    > 0) ||
-              (ruleFilter === 'warning' && countWarning > 0) ||
-              (ruleFilter === 'error'   && countError   > 0);
+          if (ruleFilter && !sec.dataset.bucket) {
+            passRule = +(sec.getAttribute('data-count-' + ruleFilter) || 0) > 0;
           }
 
-          let ruleHasVisibleRows = false;
-
           // --- TABLE filter: chips hide/show sub-tables by data-kind ---
+          const shown = [];
           sec.querySelectorAll('.sec').forEach(secBlock=>{
-            const kind = secBlock.getAttribute('data-kind'); // 'error' | 'warning' | 'info'
-
-            if (kind && chipState[kind] === false) {
-              secBlock.style.display = 'none';
-              return;
-            }
+            const kind = secBlock.getAttribute('data-kind'); // severity id | 'resolved' | 'waived'
 
             const tbl = secBlock.querySelector('table.data-table');
             if (!tbl) { secBlock.style.display = 'none'; return; }
 
-            // apply search to rows
-            const mainRows = Array.from(tbl.querySelectorAll('tbody tr'))
-              .filter(tr => !tr.classList.contains('why-row'));
-
-            let visCount = 0;
-            mainRows.forEach(tr=>{
-              const pass = rowPass(tr);
-              tr.dataset.pass = pass ? '1' : '0';
-              if (pass) visCount++;
+            // apply search and column filters to rows
+            const list = listOf(tbl);
+            const colMatch = colPredicate(tbl);
+            const view = [];
+            list.forEach((uid, p) => {
+              if (!match[uid] || (colMatch && !colMatch(uid))) return;
+              view.push(p);
+              if (passRule && !sec.dataset.bucket && matched[ROWS[uid].level]) matched[ROWS[uid].level].add(uid);
             });
-
-            // hide sub-table if empty after search
-            if (visCount === 0) {
-              secBlock.style.display = 'none';
-            } else {
-              secBlock.style.display = '';
-              ruleHasVisibleRows = true;
-            }
-
-            // paginate this table using the flags we just set
-            paginateTable(tbl);
+            tableView.set(tbl, view);
+            sortView(tbl);
+            groupView(tbl);
+
+            // hide sub-table if its chip is off or it is empty after search
+            // (kept while column filters are set, so they can be cleared)
+            const visible = !(kind && chipState[kind] === false) && (view.length > 0 || !!colMatch);
+            secBlock.style.display = visible ? '' : 'none';
+            if (visible) shown.push(tbl); else clearTable(tbl);
           });
 
-          // show/hide the entire rule card
-          sec.style.display = (passRule && ruleHasVisibleRows) ? '' : 'none';
+          // show/hide the entire rule card; render only what is on screen
+          const show = passRule && shown.length > 0;
+          sec.style.display = show ? '' : 'none';
+          shown.forEach(show ? paginateTable : clearTable);
+        });
+
+        // source headers follow their sections
+        container.querySelectorAll('.source-group').forEach(g=>{
+          g.style.display = Array.from(g.querySelectorAll('section.rule')).some(sec => sec.style.display !== 'none') ? '' : 'none';
         });
 
+        // chip counters follow the current filters
+        LEVELS.forEach(l => { document.getElementById('count-'+l).textContent = String(matched[l].size); });
+
         // Highlight AFTER visibility decisions
         if (q) highlight(container, q);
+        writeHash();
       };
 
       window.toggleChip = function(kind){
@@ -664,16 +2345,143 @@ module.exports = function(RED){
         applyFilters();
       }
 
-      // ------------ Grouping & sorting (hooks kept for future) ------------
+      // ------------ Grouping ------------
       window.switchGrouping = function(){
         grouping = document.getElementById('groupSelect').value;
-        document.getElementById('sections-rule').style.display = (grouping==='rule') ? '' : 'none';
-        document.getElementById('sections-sheet').style.display = (grouping==='sheet') ? '' : 'none';
+        if (!restoring) focusId = ''; // section ids differ per grouping
+        GROUPINGS.forEach(g=>{
+          const cont = document.getElementById('sections-'+g);
+          cont.style.display = (grouping===g) ? '' : 'none';
+          if (grouping !== g) cont.querySelectorAll('table.data-table').forEach(clearTable);
+        });
         applyFilters();
       }
 
+      // summary source cards jump to that source in the current grouping
+      window.goToSource = function(card){
+        const el = document.getElementById(grouping + '_src_' + card.dataset.src);
+        if (!el) return;
+        el.scrollIntoView({ behavior:'smooth', block:'start' });
+        focusId = el.id;
+        writeHash();
+      };
+
+      // ------------ Shareable view state (location.hash) ------------
+      // #q=<search>&lvl=<section status>&chg=<change>&off=<chip,…>&g=<grouping>&p=<table id:page,…>&f=<section id>
+      // A hash without "=" is a plain anchor (e.g. #rule_X) and only sets the focus.
+      let focusId = '';
+      let restoring = false;
+      function writeHash(){
+        if (restoring) return;
+        const h = new URLSearchParams();
+        const q = document.getElementById('searchBox').value.trim();
+        if (q) h.set('q', q);
+        const lvl = document.getElementById('levelSelect').value;
+        if (lvl) h.set('lvl', lvl);
+        const chg = document.getElementById('changeSelect')?.value;
+        if (chg) h.set('chg', chg);
+        const off = LEVELS.filter(l => chipState[l] === false);
+        if (off.length) h.set('off', off.join(','));
+        if (grouping !== 'rule') h.set('g', grouping);
+        const pages = [];
+        document.querySelectorAll('#sections-' + grouping + ' table.data-table').forEach(t => {
+          const p = t.getAttribute('data-page');
+          if (p && p !== '1') pages.push(t.id + ':' + p);
+        });
+        if (pages.length) h.set('p', pages.join(','));
+        if (focusId) h.set('f', focusId);
+        const hash = h.toString();
+        if (hash === location.hash.slice(1)) return;
+        try { history.replaceState(null, '', hash ? '#' + hash : location.pathname + location.search); } catch (e) { /* sandboxed viewers */ }
+      }
+      // select value only when the report has that option
+      const setSelect = (id, v) => {
+        const el = document.getElementById(id);
+        if (el) el.value = Array.from(el.options).some(o => o.value === v) ? v : '';
+      };
+      function restoreState(){
+        const raw = location.hash.slice(1);
+        if (!raw.includes('=')) {
+          focusId = raw && document.getElementById(decodeURIComponent(raw)) ? decodeURIComponent(raw) : '';
+          applyFilters();
+          return;
+        }
+        const h = new URLSearchParams(raw);
+        restoring = true;
+        document.getElementById('searchBox').value = h.get('q') || '';
+        setSelect('levelSelect', h.get('lvl') || '');
+        setSelect('changeSelect', h.get('chg') || '');
+        const off = (h.get('off') || '').split(',');
+        LEVELS.forEach(l => {
+          chipState[l] = !off.includes(l);
+          document.getElementById('chip-' + l)?.classList.toggle('active', chipState[l]);
+        });
+        (h.get('p') || '').split(',').forEach(tp => {
+          const i = tp.lastIndexOf(':');
+          const t = i > 0 && document.getElementById(tp.slice(0, i));
+          if (t && t.matches('table.data-table')) t.setAttribute('data-page', String(parseInt(tp.slice(i + 1), 10) || 1));
+        });
+        focusId = h.get('f') && document.getElementById(h.get('f')) ? h.get('f') : '';
+        const g = h.get('g') || 'rule';
+        document.getElementById('groupSelect').value = GROUPINGS.includes(g) ? g : 'rule';
+        switchGrouping(); // filters and renders once
+        restoring = false;
+        const el = focusId && document.getElementById(focusId);
+        if (el && el.scrollIntoView) el.scrollIntoView({ block:'start' });
+      }
+      window.addEventListener('hashchange', restoreState);
+      // clicking a section header focuses it (kept in the link)
+      document.addEventListener('click', e => {
+        const hd = e.target.closest && e.target.closest('.rule-hd');
+        if (!hd || e.target.closest('button, a, select, input')) return;
+        const sec = hd.closest('section.rule, .source-group');
+        if (!sec || !sec.id) return;
+        focusId = sec.id;
+        writeHash();
+      });
+
+      // ------------ Remembered preferences (localStorage: theme, rows per page) ------------
+      const PREFS_KEY = 'validation-report:prefs';
+      const RPP_OPTIONS = ['10', '25', '50', '100'];
+      function loadPrefs(){
+        try { return JSON.parse(localStorage.getItem(PREFS_KEY) || '{}') || {}; } catch (e) { return {}; }
+      }
+      function savePref(key, value){
+        try { localStorage.setItem(PREFS_KEY, JSON.stringify({ ...loadPrefs(), [key]: value })); } catch (e) { /* storage disabled */ }
+      }
+      function applyPrefs(){
+        const prefs = loadPrefs();
+        if (typeof prefs.light === 'boolean') document.body.classList.toggle('light', prefs.light);
+        if (RPP_OPTIONS.includes(String(prefs.rpp))) {
+          document.querySelectorAll('table.data-table').forEach(t => t.setAttribute('data-rows', String(prefs.rpp)));
+        }
+      }
+
+      // ------------ Summary charts: a click applies the matching filter and jumps there ------------
+      // rule bar → rule grouping + search; sheet × level cell → sheet grouping + that level; donut → that level
+      window.chartFilter = function(el){
+        const { rule, sheet, level } = el.dataset;
+        const key = rule != null ? 'rule' : sheet != null ? 'sheet' : '';
+        const val = rule != null ? rule : sheet;
+        document.getElementById('searchBox').value = rule != null ? rule : '';
+        setSelect('levelSelect', level || '');
+        LEVELS.forEach(l => {
+          chipState[l] = !level || l === level;
+          document.getElementById('chip-' + l)?.classList.toggle('active', chipState[l]);
+        });
+        const g = key || grouping;
+        document.getElementById('groupSelect').value = g;
+        if (g !== grouping) switchGrouping(); else applyFilters();
+        const sec = Array.from(document.querySelectorAll('#sections-' + g + ' section.rule'))
+          .find(s => s.style.display !== 'none' && !s.dataset.bucket && (!key || s.dataset[key] === val));
+        if (!sec) return;
+        if (sec.scrollIntoView) sec.scrollIntoView({ behavior:'smooth', block:'start' });
+        focusId = sec.id;
+        writeHash();
+      };
+
       // ------------ Theme ------------
-      window.toggleLight = function(){ document.body.classList.toggle('light'); }
+      window.toggleLight = function(){ savePref('light', document.body.classList.toggle('light')); }
 
       window.foldAll = function(){ document.querySelectorAll('details.rule-body').forEach(d=>d.open=true); }
       window.collapseAll = function(){ document.querySelectorAll('details.rule-body').forEach(d=>d.open=false); }
@@ -698,26 +2506,32 @@ module.exports = function(RED){
           if (menu) menu.classList.remove('open');
         }
       });
-      function getVisibleRows(){
+      // Rows on the visible pages of the current grouping (in table order), keyed by
+      // column field; rows shown in two sections (source + target sheet) are exported once.
+      function getVisibleRows(keep){
         const cont = document.getElementById('sections-'+grouping);
         const rows = [];
+        const seen = new Set();
         cont.querySelectorAll('section.rule').forEach(sec=>{
           if (sec.style.display==='none') return;
-          sec.querySelectorAll('table.data-table tbody tr').forEach(tr=>{
-            if (tr.classList.contains('why-row')) return;
-            if (tr.classList.contains('hidden-by-filter')) return;
-            if (tr.style.display==='none') return;
-            const tds = tr.querySelectorAll('td');
-            const ctx = grouping==='rule' ? {ruleId: sec.getAttribute('data-rule')} : {sheet: sec.getAttribute('data-sheet')};
-            rows.push({
-              idx: tds[0]?.innerText.trim(),
-              source: tds[1]?.innerText.trim(),
-              value: tds[2]?.innerText.trim(),
-              type: tds[3]?.innerText.trim(),
-              target: tds[4]?.innerText.trim(),
-              status: tds[5]?.innerText.trim(),
-              level: tds[6]?.innerText.trim(),
-              ...ctx
+          sec.querySelectorAll('.sec').forEach(secBlock=>{
+            if (secBlock.style.display==='none') return;
+            const tbl = secBlock.querySelector('table.data-table');
+            if (!tbl) return;
+            const list = listOf(tbl);
+            const members = tableMembers.get(tbl);
+            pageOf(tbl).forEach(p=>{
+              const r = ROWS[list[p]];
+              if (seen.has(r.uid) || (keep && !keep(r))) return;
+              seen.add(r.uid);
+              const row = { idx: String(p + 1) };
+              COLUMNS.forEach((c, i) => { row[c.field] = r.cells[i]; });
+              row.ruleId = r.rule;
+              if (r.origin) row.origin = r.origin;
+              if (r.detail && r.detail.loc) row.location = locText(r.detail.loc);
+              if (r.change) row.change = r.change;
+              if (GROUPS) row.occurrences = members.get(p).length;
+              rows.push(row);
             });
           });
         });
@@ -730,9 +2544,10 @@ module.exports = function(RED){
         setTimeout(()=>URL.revokeObjectURL(a.href), 500);
       }
       window.exportIssuesCSV = function(){
-        const rows = getVisibleRows().filter(r => /warning|error/i.test(r.level||''));
-        const head = Object.keys(rows[0] || {idx:'',source:'',value:'',type:'',target:'',status:'',level:''});
-        const escCsv = s => '"' + String(s??'').replace(/"/g,'""') + '"';
+        const rows = getVisibleRows(r => r.issue);
+        const head = rows.length ? Object.keys(rows[0]) : ['idx'].concat(COLUMNS.map(c => c.field));
+        // text a spreadsheet would run as a formula gets a leading ' (as in the server-side CSV)
+        const escCsv = s => '"' + (typeof s === 'string' && /^[=+\\-@\\t\\r]/.test(s) ? "'" : '') + String(s??'').replace(/"/g,'""') + '"';
         const csv = [head.join(',')].concat(rows.map(r => head.map(k=>escCsv(r[k])).join(','))).join('\\n');
         download('validation_issues.csv', csv, 'text/csv');
       }
@@ -741,8 +2556,8 @@ module.exports = function(RED){
       }
       window.copyVisible = async function(){
         const rows = getVisibleRows().map(r => Object.values(r).join('\\t')).join('\\n');
-        try { await navigator.clipboard.writeText(rows); alert('Copied visible rows'); }
-        catch { alert('Clipboard copy failed'); }
+        try { await navigator.clipboard.writeText(rows); alert(tr('copied')); }
+        catch { alert(tr('copyFailed')); }
       }
       // --- Export dropdown helpers ---
       window.toggleExportMenu = function(e){
@@ -768,38 +2583,568 @@ module.exports = function(RED){
     })();
   </script>`;
 
+    // ---------- header / footer (branding) ----------
+    const header = `
+  <div class="title-wrap${brand.logo ? " has-logo" : ""}">
+    ${brand.logo ? `<img class="logo" src="${esc(brand.logo)}" alt="">` : ""}
+    <div>
+      <h1>${esc(title)}</h1>
+      ${brand.subtitle ? `<div class="subtitle">${esc(brand.subtitle)}</div>` : ""}
+      <div class="muted">${esc(t("generatedOn", { date: now }))}${meta.map(m => ` · ${esc(m.label)}: <b>${esc(m.value)}</b>`).join("")}</div>
+    </div>
+  </div>`;
+    const extraStyle = brand.css ? `
+  <style>
+${cssText(brand.css)}
+  </style>` : "";
+    const footer = brand.footer ? `
+  <footer class="report-footer muted">${esc(brand.footer).replace(/\r?\n/g, "<br>")}</footer>` : "";
+
     // ---------- assemble ----------
-    return `
+    if (staticMode) return [`
 <!doctype html>
-<html>
+<html lang="${esc(lang)}" dir="${dir}">
 <head>
 <meta charset="UTF-8">
-<title>Validation Report</title>
-${style}
+<title>${esc(title)}</title>
+${resolveCssVars(style + extraStyle)}
 </head>
-<body>
-  <div class="title-wrap">
-    <h1>Validation Report</h1>
-    <div class="muted">Generated on ${esc(now)}</div>
+<body class="light static">
+  ${header}
+
+  ${truncNotice}
+  ${gateBanner}
+  ${expiredNotice}
+  ${summary}
+
+  <div id="sections-rule">
+    ${renderSections("rule")}
+    ${renderResolved("rule")}
+    ${renderWaived("rule")}
   </div>
+  ${footer}
+</body>
+</html>`];
+
+    const head = `
+<!doctype html>
+<html lang="${esc(lang)}" dir="${dir}">
+<head>
+<meta charset="UTF-8">
+<title>${esc(title)}</title>
+${style}${extraStyle}
+</head>
+<body>
+  ${header}
   <div id="headerDock">
     ${toolbar}
   </div>
 
+  ${truncNotice}
+  ${gateBanner}
+  ${expiredNotice}
   ${summary}
 
   <!-- Rule grouping -->
   <div id="sections-rule">
-    ${sectionsByRule}
+    ${renderSections("rule")}
+    ${renderResolved("rule")}
+    ${renderWaived("rule")}
   </div>
 
-  <!-- Sheet grouping (hidden by default) -->
+  <!-- Sheet / type / level groupings (hidden by default) -->
   <div id="sections-sheet" style="display:none">
-    ${sectionsBySheet}
+    ${renderSections("sheet")}
+    ${renderResolved("sheet")}
+    ${renderWaived("sheet")}
+  </div>
+  <div id="sections-type" style="display:none">
+    ${renderSections("type")}
+    ${renderResolved("type")}
+    ${renderWaived("type")}
   </div>
+  <div id="sections-level" style="display:none">
+    ${renderSections("level")}
+    ${renderResolved("level")}
+    ${renderWaived("level")}
+  </div>
+  <script type="application/json" id="reportData">`;
+    // rows first: the dict is complete once they are all packed
+    function* chunks(){
+      yield head;
+      yield `{"rows":[`;
+      for (let i = 0; i < allRows.length; i += ROW_CHUNK) {
+        const packed = allRows.slice(i, i + ROW_CHUNK).map((r, j) => packRow(r, changeAt(i + j)));
+        yield (i ? "," : "") + scriptJson(packed).slice(1, -1);
+      }
+      yield "]," + scriptJson({ dict, suggestions, ...(groups ? { groups } : {}) }).slice(1) + `</script>
+  ${footer}
   ${script}
 </body>
 </html>`;
+    }
+    const parts = chunks();
+    parts.count = 3 + Math.ceil(allRows.length / ROW_CHUNK);
+    return parts;
+  }
+
+  // ------ rendering: row cap, streaming to disk, worker threads ------
+  const ROW_CHUNK = 5000;
+
+  /**
+   * Keep the `max` most severe rows, in their original order.
+   * @param {Array<Object>} logs - normalized logs
+   * @param {number} max - row cap (0 = no limit)
+   * @param {Object} [sev] - severity model
+   * @returns {Array<Object>}
+   */
+  function limitRows(logs, max, sev = DEFAULT_MODEL){
+    if (!max || logs.length <= max) return logs;
+    const rank = r => (sev.byId[r.level] || sev.list[sev.list.length - 1]).rank;
+    return logs.map((r, i) => i)
+      .sort((a, b) => rank(logs[a]) - rank(logs[b]) || a - b)
+      .slice(0, max)
+      .sort((a, b) => a - b)
+      .map(i => logs[i]);
+  }
+
+  /**
+   * Write chunks to a file, honouring stream back-pressure: the next chunk is only produced
+   * once the stream has room for it. The file is written next to its destination and renamed
+   * on completion, so readers never see half a report.
+   * @param {string} file - absolute path
+   * @param {Iterable<string>} parts - from reportParts()
+   * @param {Function} [onProgress] - called with 0..100 (steps of 10)
+   * @param {Array<string>} [keep] - also collects the chunks (when the HTML is wanted too)
+   * @returns {Promise<void>}
+   */
+  function writeParts(file, parts, onProgress, keep){
+    fs.mkdirSync(nodePath.dirname(file), { recursive:true });
+    const tmp = file + ".part";
+    const count = parts.count || parts.length || 1;
+    const it = parts[Symbol.iterator]();
+    return new Promise((resolve, reject) => {
+      const out = fs.createWriteStream(tmp, "utf8");
+      let i = 0, step = -1;
+      const fail = e => { out.destroy(); fs.unlink(tmp, () => reject(e)); };
+      out.on("error", fail);
+      out.on("finish", () => fs.rename(tmp, file, e => e ? reject(e) : resolve()));
+      const pump = () => {
+        try {
+          for (let next = it.next(); !next.done; next = it.next()){
+            if (keep) keep.push(next.value);
+            const ok = out.write(next.value);
+            const pct = Math.min(100, Math.floor(++i * 10 / count) * 10);
+            if (onProgress && pct !== step) { step = pct; onProgress(pct); }
+            if (!ok) return out.once("drain", pump);
+          }
+        } catch(e) {
+          return fail(e);
+        }
+        out.end();
+      };
+      pump();
+    });
+  }
+
+  /**
+   * Render a report job: optionally stream it to a file, optionally return the HTML.
+   * Jobs are plain data so they can be handed to a worker thread as-is.
+   * @param {Object} job - { logs, allRules, opts, severities (model list), file, html }
+   * @param {Function} [onProgress] - write progress, 0..100
+   * @returns {Promise<string|undefined>}
+   */
+  async function renderReport(job, onProgress){
+    const severities = severityModel(job.severities);
+    const parts = reportParts(job.logs, job.allRules, { ...job.opts, severities });
+    if (!job.file) return job.html ? Array.from(parts).join("") : undefined;
+    const keep = job.html ? [] : null;
+    await writeParts(job.file, parts, onProgress, keep);
+    return keep ? keep.join("") : undefined;
+  }
+
+  /**
+   * renderReport() in a worker thread (this file is its entry point, see the bottom).
+   * @param {Object} job - see renderReport()
+   * @param {Function} [onProgress] - write progress, 0..100
+   * @returns {Promise<string|undefined>}
+   */
+  function renderInWorker(job, onProgress){
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(__filename, { workerData: { task: WORKER_TASK, job } });
+      let settled = false;
+      worker.on("message", m => {
+        if (m.progress != null) return onProgress && onProgress(m.progress);
+        settled = true;
+        m.error ? reject(new Error(m.error)) : resolve(m.html);
+      });
+      worker.on("error", e => { settled = true; reject(e); });
+      worker.on("exit", code => { if (!settled) reject(new Error(`report worker exited with code ${code}`)); });
+    });
+  }
+
+  // ------ report archive (userDir folder, served over HTTP) ------
+  // deployed nodes that archive: node id -> { dir, name, route, severities, dateFmt }
+  const archives = new Map();
+  const ARCHIVE_INDEX = "index.json";
+  const ARCHIVE_FILE = /^report-[\w-]+\.html$/;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // one folder per node, so several nodes can share an archive folder
+  const archiveDirOf = node => nodePath.resolve(RED.settings.userDir || process.cwd(), node.archiveDir, String(node.id).replace(/[^\w-]+/g, "_"));
+
+  // index entries, newest first ([] when missing or unreadable)
+  function readArchiveIndex(dir){
+    try{
+      const list = JSON.parse(fs.readFileSync(nodePath.join(dir, ARCHIVE_INDEX), "utf8"));
+      return Array.isArray(list) ? list.filter(e => e && ARCHIVE_FILE.test(e.file)) : [];
+    }catch(e){
+      return [];
+    }
+  }
+
+  // a free file name for a run started now
+  function archiveName(dir){
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const taken = name => fs.existsSync(nodePath.join(dir, name)) || fs.existsSync(nodePath.join(dir, name + ".part"));
+    let name = `report-${stamp}.html`;
+    for (let n = 2; taken(name); n++) name = `report-${stamp}-${n}.html`;
+    return name;
+  }
+
+  /**
+   * Add a run to the archive index, then drop the reports past the newest `keep`
+   * or older than `days` (0 = no limit); the index and the folder stay in step.
+   * @param {string} dir - the node's archive folder
+   * @param {Object} entry - { file, ts, counts, levels, pass }
+   * @param {Object} limits - { keep, days }
+   * @returns {Array<Object>} the index, newest first
+   */
+  function recordArchive(dir, entry, limits){
+    const since = limits.days ? Date.now() - limits.days * DAY_MS : 0;
+    const all = [entry].concat(readArchiveIndex(dir).filter(e => e.file !== entry.file));
+    const kept = all.filter((e, i) => (!limits.keep || i < limits.keep) && (!since || Date.parse(e.ts) >= since));
+    all.filter(e => !kept.includes(e)).forEach(e => fs.unlink(nodePath.join(dir, e.file), () => {}));
+    const index = nodePath.join(dir, ARCHIVE_INDEX);
+    fs.mkdirSync(dir, { recursive:true });
+    fs.writeFileSync(index + ".part", JSON.stringify(kept, null, 1));
+    fs.renameSync(index + ".part", index);
+    return kept;
+  }
+
+  // the archive's browsable index: one row per report, counts per level
+  function archiveIndexPage(archive, list){
+    const levels = archive.severities;
+    const gated = list.some(e => e.pass != null);
+    const row = e => `<tr><td><a href="reports/${encodeURIComponent(e.file)}">${esc(formatDate(e.ts, archive.dateFmt))}</a></td>` +
+      levels.map(x => `<td class="n">${esc(e.levels?.[x.id] ?? 0)}</td>`).join("") +
+      `<td class="n">${esc(e.counts?.total ?? 0)}</td>${gated ? `<td>${e.pass == null ? "" : e.pass ? "PASS" : "FAIL"}</td>` : ""}</tr>`;
+    return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><title>${esc(archive.name)} — archived reports</title>
+<style>body{font:14px system-ui,sans-serif;margin:24px;color:#1f2937}table{border-collapse:collapse}th,td{padding:6px 12px;border-bottom:1px solid #e5e7eb;text-align:start}td.n{text-align:end;font-variant-numeric:tabular-nums}</style>
+</head><body>
+<h1>${esc(archive.name)} — archived reports</h1>
+<p>${list.length} report(s)${list.length ? ` · <a href="reports/latest">latest</a>` : ""}</p>
+<table><thead><tr><th>Generated</th>${levels.map(x => `<th>${esc(x.label)}</th>`).join("")}<th>Total</th>${gated ? "<th>Gate</th>" : ""}</tr></thead>
+<tbody>${list.map(row).join("")}</tbody></table>
+</body></html>`;
+  }
+
+  /**
+   * GET …/validation-report/:id/reports (the index: HTML, or JSON when asked for),
+   * …/reports/latest and …/reports/:file. On httpNode only nodes publishing there are served.
+   * @param {Object} app - RED.httpAdmin or RED.httpNode
+   * @param {string} where - "admin" | "node"
+   * @param {Function} guard - access check middleware
+   */
+  function archiveRoutes(app, where, guard){
+    const find = (req, res) => {
+      const archive = archives.get(req.params.id);
+      if (archive && (where === "admin" || archive.route === "node")) return archive;
+      res.status(404).send("no archived reports for this node");
+      return null;
+    };
+    app.get("/validation-report/:id/reports", guard, (req, res) => {
+      const archive = find(req, res);
+      if (!archive) return;
+      const list = readArchiveIndex(archive.dir);
+      if (req.accepts(["html", "json"]) === "json") return res.json({ id: req.params.id, name: archive.name, reports: list });
+      res.type("html").send(archiveIndexPage(archive, list));
+    });
+    app.get("/validation-report/:id/reports/:file", guard, (req, res) => {
+      const archive = find(req, res);
+      if (!archive) return;
+      const list = readArchiveIndex(archive.dir);
+      const entry = req.params.file === "latest" ? list[0] : list.find(e => e.file === req.params.file);
+      if (!entry) return res.status(404).send("report not found");
+      res.set("Cache-Control", "no-store");
+      // opened directly, a report would otherwise run its scripts on the editor's origin
+      res.set("Content-Security-Policy", "sandbox allow-scripts allow-downloads allow-modals");
+      res.sendFile(nodePath.join(archive.dir, entry.file));
+    });
+  }
+
+  /**
+   * JUnit XML: one testcase per rule block, warning/error rows become its failure.
+   * @param {Array<Object>} results - validation logs array
+   * @param {Array<Object>} allRules - rule catalog
+   * @param {Object} [opts]
+   * @param {Object} [opts.severities] - severity model
+   * @returns {string}
+   */
+  function generateJUnitReport(results, allRules, opts = {}) {
+    const data = Array.isArray(results) ? results : [];
+    const sev = opts.severities || DEFAULT_MODEL;
+    const xml = s => esc(s).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+    const ts = new Date().toISOString().replace(/\.\d+Z$/, "");
+    const blocks = buildRuleBlocks(data, allRules, sev);
+    const failures = blocks.filter(b => b.issues).length;
+
+    const rowLine = r => {
+      const sheets = [r.source_sheet, r.target_sheet].filter(Boolean).join(" → ");
+      return `[${String(r.level).toUpperCase()}]${sheets ? ` (${sheets})` : ""} ${valueOf(r)}`;
+    };
+
+    const testcase = b => {
+      const name = `name="${xml(b.ruleId)}" classname="validation.${xml(b.type || "rule")}"`;
+      if (!b.issues) return `    <testcase ${name}/>`;
+      const issues = b.rows.filter(r => sev.isIssue(r.level));
+      const body = [
+        b.description ? `Description: ${b.description}` : "",
+        ...issues.map(rowLine),
+        b.suggestions.length ? "Suggestions:\n" + b.suggestions.map(x => `- ${x}`).join("\n") : ""
+      ].filter(Boolean).join("\n");
+      const message = issueSummary(b.counts, sev);
+      return `    <testcase ${name}>
+      <failure type="${b.status}" message="${xml(message)}">${xml(body)}</failure>
+    </testcase>`;
+    };
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Validation Report" tests="${blocks.length}" failures="${failures}" errors="0" time="0">
+  <testsuite name="validation" tests="${blocks.length}" failures="${failures}" errors="0" skipped="0" time="0" timestamp="${ts}">
+${blocks.map(testcase).join("\n")}
+  </testsuite>
+</testsuites>
+`;
+  }
+
+  /**
+   * SARIF 2.1.0: each rule becomes a reportingDescriptor, each log row a result
+   * with source/target sheets as logical locations.
+   * @param {Array<Object>} results - validation logs array
+   * @param {Array<Object>} allRules - rule catalog
+   * @param {Object} [opts]
+   * @param {Object} [opts.severities] - severity model (outcome fail/warn/pass → SARIF error/warning/none)
+   * @returns {string} SARIF log as JSON text
+   */
+  function generateSarifReport(results, allRules, opts = {}) {
+    const data = Array.isArray(results) ? results : [];
+    const sev = opts.severities || DEFAULT_MODEL;
+    const blocks = buildRuleBlocks(data, allRules, sev);
+    const ruleIndex = new Map(blocks.map((b, i) => [b.ruleId, i]));
+    const SARIF_LEVEL = { fail:"error", warn:"warning", pass:"none" };
+
+    const rules = blocks.map(b => {
+      const d = {
+        id: String(b.ruleId),
+        shortDescription: { text: b.description || String(b.ruleId) },
+        properties: { type: b.type, suggestions: b.suggestions }
+      };
+      if (b.type) d.name = b.type;
+      if (b.suggestions.length) d.help = { text: b.suggestions.join("\n") };
+      if (b.docs) d.helpUri = b.docs;
+      if (b.owner) d.properties.owner = b.owner;
+      return d;
+    });
+
+    const sheetLocation = (name, role) => ({ name: String(name), kind: "resource", properties: { role } });
+    const runResults = data.map(r => {
+      const logical = [];
+      if (r.source_sheet && r.source_sheet !== "(engine)") logical.push(sheetLocation(r.source_sheet, "source"));
+      if (r.target_sheet && r.target_sheet !== "(engine)") logical.push(sheetLocation(r.target_sheet, "target"));
+      const res = {
+        ruleId: String(keyOf(r)),
+        ruleIndex: ruleIndex.get(String(keyOf(r))),
+        level: SARIF_LEVEL[sev.outcome(r.level)],
+        message: { text: String(valueOf(r)) || String(keyOf(r)) },
+        partialFingerprints: { "validationFingerprint/v1": fingerprint(r) }
+      };
+      if (!sev.isIssue(r.level)) res.kind = "pass";
+      if (sev.byId[r.level]) res.properties = { severity: r.level };
+      if (logical.length) res.locations = [{ logicalLocations: logical }];
+      return res;
+    });
+
+    return JSON.stringify({
+      $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+      version: "2.1.0",
+      runs: [{
+        tool: { driver: { name: pkg.name, version: pkg.version, informationUri: pkg.homepage, rules } },
+        results: runResults
+      }]
+    }, null, 2);
+  }
+
+  /**
+   * Compact Markdown / plain-text digest for chat and e-mail notifications.
+   * @param {Array<Object>} results - validation logs array
+   * @param {Array<Object>} allRules - rule catalog
+   * @param {Object} [opts]
+   * @param {string} [opts.format] - "markdown" (default) | "text"
+   * @param {number} [opts.topRules] - failing rules listed (default 5; 0 = status and counts only)
+   * @param {number} [opts.rowsPerRule] - issue rows shown per rule (default 3; 0 = rule lines only)
+   * @param {number} [opts.maxLength] - max characters, 0 = unlimited
+   * @param {Object} [opts.severities] - severity model
+   * @returns {string}
+   */
+  function generateDigest(results, allRules, opts = {}) {
+    const data = Array.isArray(results) ? results : [];
+    const md = opts.format !== "text";
+    const topRules = opts.topRules ?? 5;
+    const rowsPerRule = opts.rowsPerRule ?? 3;
+    const maxLength = opts.maxLength || 0;
+
+    const sev = opts.severities || DEFAULT_MODEL;
+    const blocks = buildRuleBlocks(data, allRules, sev);
+    const counts = sev.count(data);
+    const byOutcome = countLogs(data, sev);
+    const errRows = byOutcome.error, warnRows = byOutcome.warning;
+    const status = errRows ? "FAILED" : warnRows ? "PASSED WITH WARNINGS" : "PASSED";
+    const icon = errRows ? "❌" : warnRows ? "⚠️" : "✅";
+    const bold = t => md ? `**${t}**` : t;
+    const code = t => md ? "`" + String(t).replace(/`/g, "'") + "`" : String(t);
+    const oneLine = t => String(t).replace(/\s+/g, " ").trim();
+
+    // most severe first: compare per-severity counts in rank order
+    const failing = blocks.filter(b => b.issues).sort((a, b) => {
+      for (const x of sev.list) if (a.counts[x.id] !== b.counts[x.id]) return b.counts[x.id] - a.counts[x.id];
+      return 0;
+    });
+    const rulesWith = outcome => blocks.filter(b => b.outcome === outcome).length;
+
+    const lines = [
+      md ? `## ${icon} Validation ${status}` : `Validation ${status}`,
+      "",
+      `${bold("Rules")}: ${blocks.length} total, ${rulesWith("pass")} passed, ` +
+        `${rulesWith("warn")} with warnings, ${rulesWith("fail")} with errors`,
+      `${bold("Rows")}: ${data.length} total, ` + sev.list.map(x => `${counts[x.id]} ${x.id}`).join(", ")
+    ];
+
+    if (failing.length && topRules){
+      lines.push("", md ? `### Top failing rules` : `Top failing rules:`);
+      for (const b of failing.slice(0, topRules)){
+        lines.push(`${md ? "- " : "* "}${code(b.ruleId)} — ${issueSummary(b.counts, sev)}`);
+        const issues = b.rows.filter(r => sev.isIssue(r.level));
+        for (const r of issues.slice(0, rowsPerRule)){
+          const sheets = [r.source_sheet, r.target_sheet].filter(Boolean).join(" → ");
+          lines.push(`    - [${r.level}]${sheets ? ` ${sheets}:` : ""} ${oneLine(valueOf(r))}`);
+        }
+        if (rowsPerRule && issues.length > rowsPerRule) lines.push(`    - … ${issues.length - rowsPerRule} more`);
+      }
+      if (failing.length > topRules) lines.push(`${md ? "- " : "* "}… ${failing.length - topRules} more failing rule(s)`);
+    }
+
+    let text = lines.join("\n");
+    if (maxLength && text.length > maxLength){
+      const note = "\n… (truncated)";
+      const cut = text.slice(0, Math.max(0, maxLength - note.length));
+      text = cut.slice(0, Math.max(cut.lastIndexOf("\n"), 0)) + note;
+    }
+    return text;
+  }
+
+  // ------ server-side exports (raw log objects, not the rendered DOM) ------
+  const EXPORT_LEAD = ["ruleId", "level", "type", "source_sheet", "target_sheet", "value", "description"];
+  const EXPORT_SKIP = new Set([...EXPORT_LEAD, "id", "rule", "message"]);
+
+  // lead columns first, then every other field seen in any row
+  function exportColumns(rows){
+    const extra = new Set();
+    rows.forEach(r => Object.keys(r).forEach(k => { if (!EXPORT_SKIP.has(k)) extra.add(k); }));
+    return EXPORT_LEAD.concat([...extra]);
+  }
+  function exportCell(r, col){
+    const v = col === "ruleId" ? keyOf(r) : col === "value" ? valueOf(r) : r[col];
+    if (v == null) return "";
+    return typeof v === "object" ? JSON.stringify(v) : v;
+  }
+  const exportRowsOf = (data, which, sev = DEFAULT_MODEL) => which === "all" ? data : data.filter(r => sev.isIssue(r.level));
+
+  // text a spreadsheet would run as a formula when the CSV is opened
+  const FORMULA_START = /^[=+\-@\t\r]/;
+
+  /**
+   * All issues (or all rows) as RFC 4180 CSV. Text cells starting with = + - @, tab or CR
+   * are prefixed with ' and quoted, so Excel / LibreOffice show them instead of evaluating them.
+   * @param {Array<Object>} results - validation logs array
+   * @param {Object} [opts]
+   * @param {string} [opts.rows] - "issues" (default) | "all"
+   * @param {Object} [opts.severities] - severity model (decides what counts as an issue)
+   * @returns {string}
+   */
+  function generateIssuesCsv(results, opts = {}) {
+    const rows = exportRowsOf(Array.isArray(results) ? results : [], opts.rows, opts.severities);
+    const cols = exportColumns(rows);
+    const escCsv = v => {
+      const s = typeof v === "string" && FORMULA_START.test(v) ? "'" + v : String(v);
+      return s !== String(v) || /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+    };
+    return [cols.join(",")].concat(rows.map(r => cols.map(c => escCsv(exportCell(r, c))).join(","))).join("\r\n") + "\r\n";
+  }
+
+  /**
+   * All issues (or all rows) as a SpreadsheetML 2003 workbook (opens in Excel / LibreOffice),
+   * one worksheet per level or per rule.
+   * @param {Array<Object>} results - validation logs array
+   * @param {Object} [opts]
+   * @param {string} [opts.rows] - "issues" (default) | "all"
+   * @param {string} [opts.sheets] - "level" (default) | "rule"
+   * @param {Object} [opts.severities] - severity model (issue filter, sheet order)
+   * @returns {string}
+   */
+  function generateIssuesWorkbook(results, opts = {}) {
+    const sev = opts.severities || DEFAULT_MODEL;
+    const rows = exportRowsOf(Array.isArray(results) ? results : [], opts.rows, sev);
+    const cols = exportColumns(rows);
+    const xml = s => esc(s).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+
+    const groups = {};
+    const groupOf = opts.sheets === "rule" ? r => String(keyOf(r)) : r => String(r.level || "(none)");
+    if (opts.sheets !== "rule") sev.list.forEach(({ id }) => { if (rows.some(r => r.level === id)) groups[id] = []; });
+    rows.forEach(r => (groups[groupOf(r)] ||= []).push(r));
+    if (!Object.keys(groups).length) groups[opts.sheets === "rule" ? "rules" : "issues"] = [];
+
+    // worksheet names: max 31 chars, no []:*?/\ and unique (case-insensitive)
+    const used = new Set();
+    const sheetName = name => {
+      const base = name.replace(/[\[\]:*?/\\]/g, "_").slice(0, 31) || "sheet";
+      let n = base, i = 2;
+      while (used.has(n.toLowerCase())) { const suf = `_${i++}`; n = base.slice(0, 31 - suf.length) + suf; }
+      used.add(n.toLowerCase());
+      return n;
+    };
+    const cell = v => typeof v === "number" && Number.isFinite(v)
+      ? `<Cell><Data ss:Type="Number">${v}</Data></Cell>`
+      : `<Cell><Data ss:Type="String">${xml(v)}</Data></Cell>`;
+    const worksheet = (name, list) => `
+ <Worksheet ss:Name="${xml(sheetName(name))}">
+  <Table>
+   <Row>${cols.map(c => `<Cell ss:StyleID="hd"><Data ss:Type="String">${xml(c)}</Data></Cell>`).join("")}</Row>
+${list.map(r => `   <Row>${cols.map(c => cell(exportCell(r, c))).join("")}</Row>`).join("\n")}
+  </Table>
+  <WorksheetOptions xmlns="urn:schemas-microsoft-com:office:excel"><FreezePanes/><SplitHorizontal>1</SplitHorizontal><TopRowBottomPane>1</TopRowBottomPane></WorksheetOptions>
+ </Worksheet>`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<?mso-application progid="Excel.Sheet"?>
+<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"
+ xmlns:o="urn:schemas-microsoft-com:office:office"
+ xmlns:x="urn:schemas-microsoft-com:office:excel"
+ xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
+ <Styles><Style ss:ID="hd"><Font ss:Bold="1"/></Style></Styles>${Object.entries(groups).map(([n, list]) => worksheet(n, list)).join("")}
+</Workbook>
+`;
   }
 
   function ValidationReport(config){
@@ -810,59 +3155,401 @@ ${style}
     node.inScope = config.inScope || "msg";
     node.inPath  = config.inPath  || "validation";
 
+    // rule catalog (suggestions, descriptions, owners, docs)
+    node.rulesScope = config.rulesScope || "global";
+    node.rulesPath  = config.rulesPath  ?? "crossSheetValidationRules";
+
+    // baseline run to compare against (optional)
+    node.baseScope = config.baseScope || "flow";
+    node.basePath  = config.basePath  || "";
+
+    // waivers for accepted known issues (optional)
+    node.waiverScope = config.waiverScope || "file";
+    node.waiverPath  = config.waiverPath  || "";
+
+    // run history (optional)
+    node.historyStore   = config.historyStore || "";
+    node.historyContext = config.historyContext || "";
+    node.historyFile    = (config.historyFile || "").trim() || "validation-history.jsonl";
+    node.historySize    = Math.max(1, parseInt(config.historySize, 10) || 30);
+
     // outputs (HTML)
     node.outScope = config.outScope || "msg";
-    node.outPath  = config.outPath  || "payload";
+    node.htmlOut  = config.htmlOut !== false;
+    node.outPath  = node.htmlOut ? (config.outPath || "payload") : "";
+
+    // rendering (worker thread, file streaming, row cap)
+    node.renderMode = config.renderMode || "inline";
+    node.reportFile = (config.reportFile || "").trim();
+    node.maxRows    = Math.max(0, parseInt(config.maxRows, 10) || 0);
+    node.htmlStyle  = config.htmlStyle === "static" ? "static" : "interactive";
+    node.staticRows = Math.max(0, parseInt(config.staticRows, 10) || 0);
+
+    // archive of past reports under userDir, served over HTTP
+    node.archive      = !!config.archive;
+    node.archiveDir   = (config.archiveDir || "").trim() || "validation-reports";
+    node.archiveRoute = config.archiveRoute === "node" ? "node" : "admin";
+    node.archiveLimits = {
+      keep: Math.max(0, parseInt(config.archiveKeep, 10) || 0),
+      days: Math.max(0, parseFloat(config.archiveDays) || 0)
+    };
+    node.columns    = columnsOf(config.columns);
+    node.dedupe     = config.dedupe ? dedupeFieldsOf(config.dedupeKey) : null;
+
+    // branding (the logo is read once, on deploy)
+    node.brand = {
+      title: (config.reportTitle || "").trim(),
+      subtitle: (config.reportSubtitle || "").trim(),
+      logo: "",
+      css: config.extraCss || "",
+      footer: (config.footer || "").trim()
+    };
+    node.meta = Array.isArray(config.meta) ? config.meta : [];
+    try{
+      node.brand.logo = logoDataUri((config.logoFile || "").trim());
+    }catch(e){
+      node.warn(`logo: ${e.message}`);
+    }
+
+    // outputs (JUnit XML, optional)
+    node.junitScope = config.junitScope || "msg";
+    node.junitPath  = config.junitPath  || "";
+
+    // outputs (SARIF JSON, optional)
+    node.sarifScope = config.sarifScope || "msg";
+    node.sarifPath  = config.sarifPath  || "";
+
+    // outputs (Markdown / text digest, optional)
+    node.digestScope  = config.digestScope  || "msg";
+    node.digestPath   = config.digestPath   || "";
+    node.digestFormat = config.digestFormat || "markdown";
+    // blank: the default; 0 is honoured (status and counts only / no rows)
+    node.digestTopRules    = Math.max(0, threshold(config.digestTopRules) ?? 5);
+    node.digestRowsPerRule = Math.max(0, threshold(config.digestRowsPerRule) ?? 3);
+    node.digestMaxLength   = parseInt(config.digestMaxLength, 10)   || 0;
+
+    // outputs (full issues CSV / SpreadsheetML workbook, optional)
+    node.csvScope  = config.csvScope  || "msg";
+    node.csvPath   = config.csvPath   || "";
+    node.xlsScope  = config.xlsScope  || "msg";
+    node.xlsPath   = config.xlsPath   || "";
+    node.xlsSheets = config.xlsSheets || "level";
+    node.exportRows = config.exportRows || "issues";
+
+    // quality gate (second output)
+    node.gate = !!config.gate;
+    node.gateLimits = {
+      maxErrors:     threshold(config.gateMaxErrors),
+      maxWarnings:   threshold(config.gateMaxWarnings),
+      ruleMax:       threshold(config.gateRuleMax),
+      maxErrorPct:   threshold(config.gateMaxErrorPct),
+      maxWarningPct: threshold(config.gateMaxWarningPct)
+    };
+    // UI language and timestamp format (checked here, so a typo warns once on deploy)
+    node.lang = (config.lang || "").trim() || "en";
+    node.textDir = config.textDir === "ltr" || config.textDir === "rtl" ? config.textDir : "";
+    node.translations = null;
+    if ((config.translations || "").trim()){
+      try{
+        const custom = JSON.parse(config.translations);
+        if (!custom || typeof custom !== "object" || Array.isArray(custom)) throw new Error("expected an object of { key: text }");
+        node.translations = custom;
+      }catch(e){
+        node.warn(`invalid translations, using the built-in strings: ${e.message}`);
+      }
+    }
+    node.dateLocale = (config.dateLocale || "").trim();
+    node.timeZone   = (config.timeZone || "").trim();
+    try{
+      new Intl.DateTimeFormat(node.dateLocale || node.lang, node.timeZone ? { timeZone: node.timeZone } : {});
+    }catch(e){
+      node.warn(`invalid locale or time zone, using the server's: ${e.message}`);
+      node.dateLocale = node.timeZone = "";
+    }
+    const { strings } = translator(node.lang, node.translations);
+
+    // severity scale (blank or invalid: error / warning / info); its labels follow the UI language
+    // in the HTML only, the other outputs (digest, JUnit, SARIF, exports) keep them as configured
+    let scale = null;
+    if ((config.severities || "").trim()){
+      try{
+        scale = JSON.parse(config.severities);
+        if (!Array.isArray(scale) || !scale.some(x => x && x.id != null)) throw new Error("expected a non-empty array of { id, … }");
+      }catch(e){
+        scale = null;
+        node.error(`invalid severity scale, using the default: ${e.message}`);
+      }
+    }
+    node.severities = severityModel(localizeScale(scale || DEFAULT_SEVERITIES, strings, !scale));
+    node.exportSeverities = severityModel(scale || DEFAULT_SEVERITIES);
+    const sev = node.severities;
+    const plainSev = node.exportSeverities;
+
+    if (node.archive){
+      archives.set(node.id, {
+        dir: archiveDirOf(node), name: node.name || "validation-report", route: node.archiveRoute,
+        severities: plainSev.list, dateFmt: { locale: node.dateLocale || node.lang, timeZone: node.timeZone }
+      });
+    }
+
+    // gate mode: [pass, fail]; otherwise the single output
+    const route = (msg, pass) => node.gate ? (pass ? [msg, null] : [null, msg]) : msg;
+
+    // aggregation across messages (like the core join node)
+    node.aggregate  = config.aggregate || "";
+    node.aggKey     = (config.aggKey || "").trim();
+    node.aggCount   = Math.max(0, parseInt(config.aggCount, 10) || 0);
+    node.aggTimeout = Math.max(0, parseFloat(config.aggTimeout) || 0);
 
     // optional filename out
     node.fileScope = config.fileScope || "msg";
     node.filePath  = config.filePath  || "filename";
     node.fixedFilename = config.fixedFilename || "";
 
-    node.on("input", (msg, send, done)=>{
+    // invalid waiver entries are warned about once, not on every message
+    let lastWaiverWarning = "";
+
+    // ------ aggregation ------
+    // group id ("" in key mode, parts.id in parts mode) -> { results: Map(source -> logs[]), msg, timer }
+    const batches = new Map();
+
+    function sourceKeyOf(msg, parts, batch){
+      const named = node.aggKey ? RED.util.getMessageProperty(msg, node.aggKey) : undefined;
+      if (named != null && named !== "") return String(named);
+      if (parts) return parts.key != null ? String(parts.key) : `part ${(parts.index ?? batch.results.size) + 1}`;
+      return `source ${batch.results.size + 1}`;
+    }
+
+    // remove a batch and combine its results: logs tagged with `origin`, sources in arrival order
+    function takeBatch(id){
+      const batch = batches.get(id);
+      if (!batch) return null;
+      clearTimeout(batch.timer);
+      batches.delete(id);
+      if (!batch.results.size) return null;
+      const logs = [];
+      batch.results.forEach((list, key) => list.forEach(r => logs.push({ ...r, origin: key })));
+      const msg = batch.msg;
+      delete msg.complete;
+      if (node.aggregate === "parts"){
+        if (msg.parts?.parts) msg.parts = msg.parts.parts; else delete msg.parts;
+      }
+      return { msg, logs: normalizeLogs(logs, sev), sources: [...batch.results.keys()] };
+    }
+
+    /**
+     * Add a message to its batch.
+     * @returns {Object|null} the completed batch ({ msg, logs, sources }), or null while collecting
+     */
+    function collect(msg, src){
+      const parts = node.aggregate === "parts" && msg.parts ? msg.parts : null;
+      const id = parts ? String(parts.id) : "";
+      if (msg.reset !== undefined){
+        const batch = batches.get(id);
+        if (batch) clearTimeout(batch.timer);
+        batches.delete(id);
+        node.status({});
+        return null;
+      }
+
+      let batch = batches.get(id);
+      if (!batch){
+        batch = { results: new Map(), msg, timer: null };
+        batches.set(id, batch);
+        if (node.aggTimeout) batch.timer = setTimeout(() => flushBatch(id), node.aggTimeout * 1000);
+      }
+      // a later message for the same source replaces the earlier one
+      if (src) batch.results.set(sourceKeyOf(msg, parts, batch), toLogs(src));
+      batch.msg = msg;
+
+      const count = parts ? parts.count : node.aggCount;
+      if (msg.complete !== undefined || (count && batch.results.size >= count)) return takeBatch(id);
+      node.status({fill:"blue",shape:"ring",text:`collecting ${batch.results.size}${count ? "/" + count : ""} sources`});
+      return null;
+    }
+
+    // timeout: report whatever has arrived
+    function flushBatch(id){
+      const batch = takeBatch(id);
+      if (!batch) return;
+      report(batch.msg, batch.logs, m => node.send(m), batch.sources).catch(e => {
+        node.status({fill:"red",shape:"ring",text:"runtime error"});
+        node.error(e, batch.msg);
+      });
+    }
+
+    node.on("input", async (msg, send, done)=>{
       try{
         // read validation from chosen scope
         const src = readFrom(node, node.inScope, node.inPath, msg);
-        if (!src){
-          node.status({fill:"red",shape:"ring",text:"no validation found"});
-          send(msg); return done && done();
-        }
 
-        // normalize to logs[]
-        const logs = Array.isArray(src) ? src : (Array.isArray(src.logs) ? src.logs : []);
-        // build HTML
-        const html = generateValidationReport(logs, []);
-
-        // write HTML to chosen destination
-        writeTo(node, node.outScope, node.outPath, html, msg);
+        if (node.aggregate){
+          const batch = collect(msg, src);
+          if (batch) await report(batch.msg, batch.logs, send, batch.sources);
+          return done && done();
+        }
 
-        // filename (if a fixed one was provided, set it; else keep existing)
-        const filename = (node.fixedFilename||"").trim();
-        if (filename){
-          writeTo(node, node.fileScope, node.filePath, filename, msg);
+        if (!src){
+          node.status({fill:"red",shape:"ring",text:"no validation found"});
+          send(route(msg, false)); return done && done();
         }
 
-        // status + pass-through
-        const counts = src.counts || logs.reduce((a,r)=>{
-          const lvl = String(r.level||"info").toLowerCase();
-          if (lvl.startsWith("err")) a.error++;
-          else if (lvl.startsWith("warn")) a.warning++;
-          else a.info++;
-          return a;
-        }, {info:0,warning:0,error:0,total:0});
-        counts.total = counts.info + counts.warning + counts.error;
-
-        const worst = counts.error ? "error" : counts.warning ? "warning" : "info";
-        node.status({fill: worst==="error"?"red":worst==="warning"?"yellow":"green", shape:"dot",
-          text:`E:${counts.error||0} W:${counts.warning||0} I:${counts.info||0}`});
-        send(msg);
+        // normalize to logs[], levels mapped onto the severity scale
+        await report(msg, normalizeLogs(toLogs(src), sev), send);
         done && done();
       }catch(e){
         node.status({fill:"red",shape:"ring",text:"runtime error"});
         done ? done(e) : node.error(e);
       }
     });
+
+    node.on("close", ()=>{
+      batches.forEach(b => clearTimeout(b.timer));
+      batches.clear();
+      archives.delete(node.id);
+    });
+
+    /**
+     * Build every configured output for one run (a message, or a completed batch) and send it.
+     * @param {Object} msg - message to decorate and send
+     * @param {Array<Object>} logs - normalized logs
+     * @param {Function} send - send function
+     * @param {Array<string>} [sources] - aggregated source keys
+     */
+    async function report(msg, logs, send, sources){
+      const combined = logs;
+
+      // waived issues leave the counts, status, gate and exports; the report lists them apart
+      const waivers = node.waiverPath ? waiversOf(readFrom(node, node.waiverScope, node.waiverPath, msg)) : null;
+      const waiving = waivers ? applyWaivers(logs, waivers.list, sev) : null;
+      if (waivers){
+        const warning = waivers.invalid.join("; ");
+        if (warning && warning !== lastWaiverWarning) node.warn(`waivers: ${warning}`);
+        lastWaiverWarning = warning;
+        logs = waiving.active;
+        msg.validationWaivers = { waived: waiving.waived, expired: waiving.expired, invalid: waivers.invalid };
+      }
+
+      // a combined batch replaces the last message's own validation: every row, counted without the waived ones
+      if (sources){
+        if (node.inScope === "msg") RED.util.setMessageProperty(msg, node.inPath, { logs: combined, counts: countLogs(logs, sev) }, true);
+        msg.validationSources = sources.map(source => {
+          const rows = logs.filter(r => r.origin === source);
+          return { source, counts: countLogs(rows, sev) };
+        });
+      }
+
+      // rule catalog is optional; anything but an array is ignored
+      const rules = node.rulesPath ? readFrom(node, node.rulesScope, node.rulesPath, msg) : [];
+      // baseline diff (skipped when no baseline is configured or found);
+      // the same waivers apply, so a waived issue does not show up as resolved
+      const base = node.basePath ? readFrom(node, node.baseScope, node.basePath, msg) : undefined;
+      const baseLogs = base ? normalizeLogs(toLogs(base), sev) : null;
+      const diff = base ? diffAgainstBaseline(logs, waivers ? applyWaivers(baseLogs, waivers.list, sev).active : baseLogs, sev) : null;
+      if (diff){
+        msg.validationDiff = { counts: diff.counts, new: diff.new, persisting: diff.persisting, resolved: diff.resolved };
+      }
+
+      // counts drive the status bubble and the run history
+      // (always recounted: upstream counts may use other level names)
+      const counts = countLogs(logs, sev);
+      const history = node.historyStore ? recordHistory(node, historyEntry(logs, counts, sev)) : [];
+
+      // quality gate verdict (also shown as a banner in the report)
+      const gate = node.gate ? evaluateGate(logs, counts, node.gateLimits, sev) : null;
+      if (gate) msg.validationGate = gate;
+
+      const allRules = Array.isArray(rules) ? rules : [];
+
+      // build HTML (here or in a worker), stream it to the report file and/or the archive,
+      // and/or write it to the chosen destination
+      if (node.outPath || node.reportFile || node.archive){
+        const shown = limitRows(logs, node.maxRows, sev);
+        const file = node.reportFile ? nodePath.resolve(RED.settings.userDir || process.cwd(), node.reportFile) : "";
+        const archiveDir = node.archive ? archiveDirOf(node) : "";
+        const archived = archiveDir ? nodePath.join(archiveDir, archiveName(archiveDir)) : "";
+        const job = {
+          logs: shown, allRules, severities: sev.list, file: file || archived, html: !!node.outPath,
+          opts: { diff, history, gate, sources, columns: node.columns, dedupe: node.dedupe,
+            static: node.htmlStyle === "static" ? { rows: node.staticRows } : null,
+            brand: { ...node.brand, meta: metadataOf(node, node.meta, msg) },
+            lang: node.lang, translations: node.translations, dir: node.textDir, locale: node.dateLocale, timeZone: node.timeZone,
+            waived: waiving ? waiving.waived : [], expiredWaivers: waiving ? waiving.expired : [], truncated: shown.length < logs.length ? { shown: shown.length, total: logs.length } : null }
+        };
+        const progress = pct => node.status({fill:"blue",shape:"ring",text:`writing report ${pct}%`});
+        node.status({fill:"blue",shape:"ring",text:`rendering ${shown.length} rows…`});
+        const html = await (node.renderMode === "worker" ? renderInWorker(job, progress) : renderReport(job, progress));
+        if (node.outPath) writeTo(node, node.outScope, node.outPath, html, msg);
+        if (file) msg.reportFile = file;
+        if (archived){
+          if (file){
+            fs.mkdirSync(archiveDir, { recursive:true });
+            await fs.promises.copyFile(file, archived);
+          }
+          const name = nodePath.basename(archived);
+          const kept = recordArchive(archiveDir, { file: name, ts: new Date().toISOString(), counts, levels: sev.count(logs), pass: gate ? gate.pass : null }, node.archiveLimits);
+          msg.reportArchive = { file: archived, url: `validation-report/${encodeURIComponent(node.id)}/reports/${name}`, reports: kept.length };
+        }
+      }
+
+      // JUnit XML for CI dashboards
+      if (node.junitPath){
+        writeTo(node, node.junitScope, node.junitPath, generateJUnitReport(logs, allRules, { severities: plainSev }), msg);
+      }
+
+      // SARIF for code-scanning / defect-tracking tools
+      if (node.sarifPath){
+        writeTo(node, node.sarifScope, node.sarifPath, generateSarifReport(logs, allRules, { severities: plainSev }), msg);
+      }
+
+      // short digest for chat / e-mail notifications
+      if (node.digestPath){
+        const digest = generateDigest(logs, allRules, {
+          format: node.digestFormat, topRules: node.digestTopRules,
+          rowsPerRule: node.digestRowsPerRule, maxLength: node.digestMaxLength, severities: plainSev
+        });
+        writeTo(node, node.digestScope, node.digestPath, digest, msg);
+      }
+
+      // full exports built from the raw logs (every row, every field)
+      if (node.csvPath){
+        writeTo(node, node.csvScope, node.csvPath, generateIssuesCsv(logs, { rows: node.exportRows, severities: plainSev }), msg);
+      }
+      if (node.xlsPath){
+        const workbook = generateIssuesWorkbook(logs, { rows: node.exportRows, sheets: node.xlsSheets, severities: plainSev });
+        writeTo(node, node.xlsScope, node.xlsPath, workbook, msg);
+      }
+
+      // filename (if a fixed one was provided, set it; else keep existing)
+      const filename = (node.fixedFilename||"").trim();
+      if (filename){
+        writeTo(node, node.fileScope, node.filePath, filename, msg);
+      }
+
+      // status + pass-through
+      const worst = sev.worst(logs).outcome;
+      const perLevel = sev.count(logs);
+      node.status({fill: worst==="fail"?"red":worst==="warn"?"yellow":"green", shape: gate && !gate.pass ? "ring" : "dot",
+        text:`${gate ? (gate.pass ? "PASS " : "FAIL ") : ""}` + sev.list.map(x => `${x.abbr}:${perLevel[x.id]}`).join(" ")});
+      send(route(msg, !gate || gate.pass));
+    }
   }
 
   RED.nodes.registerType("validation-report", ValidationReport);
+
+  // archived reports (the worker's stub RED has no HTTP apps)
+  if (RED.httpAdmin) archiveRoutes(RED.httpAdmin, "admin", RED.auth.needsPermission("validation-report.read"));
+  if (RED.httpNode) archiveRoutes(RED.httpNode, "node", (req, res, next) => next());
+
+  // the worker entry below reaches the renderer through this
+  return { renderReport };
 };
+
+// ------ worker thread entry (renderMode "worker") ------
+// Runs the factory again with a stub RED: only the pure renderers are used.
+if (!isMainThread && workerData && workerData.task === WORKER_TASK){
+  const { renderReport } = module.exports({ nodes: { registerType(){} }, settings: {} });
+  renderReport(workerData.job, progress => parentPort.postMessage({ progress }))
+    .then(html => parentPort.postMessage({ html }))
+    .catch(e => parentPort.postMessage({ error: e.message }));
+}